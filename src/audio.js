@@ -1,37 +1,46 @@
 // Minimal WebAudio soundscape (no external assets)
-// - ambient fluorescent hum
-// - footsteps while moving
+// - fluorescent hum + crackle, driven by the nearby ceiling panels (see lights.js)
+// - footsteps (timed by the simulation's gait, see sim.js GAITS)
 // - heartbeat + noise when danger
+// - breathing when out of stamina
 
 export class AudioManager {
   constructor() {
     this.ctx = null;
     this.master = null;
+    this.volume = 0.55;
 
     this.humOsc = null;
     this.humGain = null;
 
-    this.footOsc = null;
-    this.footGain = null;
-    this.footTimer = 0;
-
     this.heartOsc = null;
     this.heartGain = null;
 
+    this.noiseBuf = null;
     this.noiseSrc = null;
     this.noiseGain = null;
 
+    this.breathGain = null;
+    this.breathPhase = 0;
+
     this.enabled = false;
   }
 
+  setVolume(v) {
+    this.volume = v;
+    if (this.master) this.master.gain.value = v;
+  }
+
   async start() {
     if (this.enabled) return;
+    // still waiting on a user gesture from an earlier call
+    if (this.ctx) return this.ctx.resume();
     const AudioCtx = window.AudioContext || window.webkitAudioContext;
     this.ctx = new AudioCtx();
     await this.ctx.resume();
 
     this.master = this.ctx.createGain();
-    this.master.gain.value = 0.55;
+    this.master.gain.value = this.volume;
     this.master.connect(this.ctx.destination);
 
     // fluorescent hum
@@ -52,11 +61,6 @@ export class AudioManager {
     this.humGain.connect(this.master);
     this.humOsc.start();
 
-    // footsteps (short blips)
-    this.footGain = this.ctx.createGain();
-    this.footGain.gain.value = 0.0;
-    this.footGain.connect(this.master);
-
     // heartbeat
     this.heartOsc = this.ctx.createOscillator();
     this.heartOsc.type = 'sine';
@@ -86,6 +90,7 @@ export class AudioManager {
     const noiseBuf = this.ctx.createBuffer(1, this.ctx.sampleRate * 2, this.ctx.sampleRate);
     const data = noiseBuf.getChannelData(0);
     for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * 0.6;
+    this.noiseBuf = noiseBuf;
 
     this.noiseSrc = this.ctx.createBufferSource();
     this.noiseSrc.buffer = noiseBuf;
@@ -103,6 +108,24 @@ export class AudioManager {
     this.noiseGain.connect(this.master);
     this.noiseSrc.start();
 
+    // breathing (same noise, breathy band)
+    const breathSrc = this.ctx.createBufferSource();
+    breathSrc.buffer = noiseBuf;
+    breathSrc.loop = true;
+
+    const breathFilter = this.ctx.createBiquadFilter();
+    breathFilter.type = 'bandpass';
+    breathFilter.frequency.value = 850;
+    breathFilter.Q.value = 0.8;
+
+    this.breathGain = this.ctx.createGain();
+    this.breathGain.gain.value = 0.0;
+
+    breathSrc.connect(breathFilter);
+    breathFilter.connect(this.breathGain);
+    this.breathGain.connect(this.master);
+    breathSrc.start();
+
     this.enabled = true;
   }
 
@@ -112,14 +135,15 @@ export class AudioManager {
     this.enabled = false;
   }
 
-  blipFoot() {
+  // volume: 0.35 sneaking, 1 walking, 1.6 sprinting
+  blipFoot(volume = 1) {
     if (!this.enabled) return;
     const o = this.ctx.createOscillator();
     o.type = 'square';
     o.frequency.value = 140 + Math.random() * 40;
     const g = this.ctx.createGain();
     g.gain.setValueAtTime(0.0, this.ctx.currentTime);
-    g.gain.linearRampToValueAtTime(0.09, this.ctx.currentTime + 0.01);
+    g.gain.linearRampToValueAtTime(0.09 * volume, this.ctx.currentTime + 0.01);
     g.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.07);
     o.connect(g);
     g.connect(this.master);
@@ -127,19 +151,53 @@ export class AudioManager {
     o.stop(this.ctx.currentTime + 0.08);
   }
 
-  update({ moving = 0, danger = 0 }) {
+  // a locked door swinging open: low falling thunk
+  door() {
+    if (!this.enabled) return;
+    const t = this.ctx.currentTime;
+    const o = this.ctx.createOscillator();
+    o.type = 'triangle';
+    o.frequency.setValueAtTime(120, t);
+    o.frequency.exponentialRampToValueAtTime(45, t + 0.3);
+    const g = this.ctx.createGain();
+    g.gain.setValueAtTime(0.0, t);
+    g.gain.linearRampToValueAtTime(0.22, t + 0.02);
+    g.gain.exponentialRampToValueAtTime(0.001, t + 0.35);
+    o.connect(g);
+    g.connect(this.master);
+    o.start();
+    o.stop(t + 0.4);
+  }
+
+  // a flickering tube striking back on: short bright snap of noise
+  crackle(volume = 1) {
     if (!this.enabled) return;
+    const t = this.ctx.currentTime;
+    const src = this.ctx.createBufferSource();
+    src.buffer = this.noiseBuf;
+    const f = this.ctx.createBiquadFilter();
+    f.type = 'bandpass';
+    f.frequency.value = 2600 + Math.random() * 1800;
+    f.Q.value = 1.2;
+    const g = this.ctx.createGain();
+    g.gain.setValueAtTime(0.0, t);
+    g.gain.linearRampToValueAtTime(0.16 * volume, t + 0.004);
+    g.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
+    src.connect(f);
+    f.connect(g);
+    g.connect(this.master);
+    src.start(t, Math.random() * 1.5);
+    src.stop(t + 0.06);
+  }
 
-    // subtle hum modulation
-    this.humGain.gain.value = 0.10 + 0.08 * danger;
+  // breath: 0 = calm, 1 = winded (heavy, fast panting)
+  // hum: 0 = no lit panel nearby, 1 = right under working lights
+  // dt: seconds since the last update (the frame time)
+  update({ danger = 0, breath = 0, hum = 1, dt = 1 / 60 }) {
+    if (!this.enabled) return;
 
-    // footsteps cadence
-    const cadence = 0.42 - 0.18 * Math.min(1, moving);
-    this.footTimer += 1 / 60;
-    if (moving > 0.15 && this.footTimer > cadence) {
-      this.footTimer = 0;
-      this.blipFoot();
-    }
+    // hum: follows the panels (set directly so it cuts in and out with a flicker)
+    this.humGain.gain.value = 0.03 + 0.09 * Math.min(1, Math.max(0, hum)) + 0.08 * danger;
 
     // heartbeat intensity
     const hb = Math.min(1, Math.max(0, danger));
@@ -150,5 +208,11 @@ export class AudioManager {
 
     // noise
     this.noiseGain.gain.setTargetAtTime(hb * 0.22, this.ctx.currentTime, 0.05);
+
+    // breathing: in/out cycle (0.35..1.2 breaths per s) that speeds up and gets louder when winded
+    const br = Math.min(1, Math.max(0, breath));
+    this.breathPhase = (this.breathPhase + (0.35 + br * 0.85) * dt) % 1;
+    const env = Math.sin(this.breathPhase * Math.PI * 2) ** 2;
+    this.breathGain.gain.setTargetAtTime(br * br * 0.5 * env, this.ctx.currentTime, 0.04);
   }
 }
@@ -0,0 +1,92 @@
+// Daily challenge: one maze per calendar day (local time), the same for everyone.
+// - the seed comes from the date through maze.js rng, so no server is needed
+// - only the first attempt of a day is scored; escapes on consecutive days make the streak
+// - the share text is the result only (time, keys, escaped / caught), nothing about the layout
+
+import { rng } from './maze.js';
+import { formatTime } from './scores.js';
+import { t, levelName } from './i18n.js';
+
+const STORAGE_KEY = 'backrooms-kids.daily';
+
+// fixed so everyone plays the same thing (layout stays per level)
+export const DAILY_DIFFICULTY = 'normal';
+
+// 'YYYY-MM-DD' in local time
+export function dateKey(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function dailySeed(key = dateKey()) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Math.floor(rng(y * 10000 + m * 100 + d)() * 4294967296) >>> 0;
+}
+
+function previousDay(key) {
+  const d = new Date(`${key}T12:00:00`);
+  d.setDate(d.getDate() - 1);
+  return dateKey(d);
+}
+
+export class Daily {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+  }
+
+  // attempted = last day a scored run was started, lastWin = last day it was escaped
+  load() {
+    const state = { attempted: null, lastWin: null, streak: 0, best: 0, result: null };
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (saved && typeof saved === 'object') Object.assign(state, saved);
+    } catch {}
+    return state;
+  }
+
+  save(state) {
+    try { this.storage?.setItem(STORAGE_KEY, JSON.stringify(state)); } catch {}
+  }
+
+  canScore(key = dateKey()) {
+    return this.load().attempted !== key;
+  }
+
+  // the attempt counts from the start, so quitting and retrying isn't a second try
+  begin(key) {
+    const state = this.load();
+    state.attempted = key;
+    this.save(state);
+  }
+
+  // run = { result, time, keys, level (index) }; returns the stored result (with the streak after it)
+  finish(key, run) {
+    const state = this.load();
+    if (run.result === 'win') {
+      state.streak = state.lastWin === previousDay(key) ? state.streak + 1 : 1;
+      state.best = Math.max(state.best, state.streak);
+      state.lastWin = key;
+    } else {
+      state.streak = 0;
+    }
+    state.result = { date: key, ...run, streak: state.streak };
+    this.save(state);
+    return state.result;
+  }
+
+  // the streak as it stands today (a missed day breaks it)
+  streak(key = dateKey()) {
+    const state = this.load();
+    return state.lastWin === key || state.lastWin === previousDay(key) ? state.streak : 0;
+  }
+}
+
+export function shareText({ date, result, time, keys, level, streak }) {
+  const lines = [`Backrooms Kids 🟨 ${t('daily.title')} ${date}`];
+  // (results stored before level names were translated hold the English name)
+  const where = typeof level === 'number' ? levelName(level) : level;
+  if (result === 'win') lines.push(`✅ ${t('daily.escaped', { time: formatTime(time) })}`);
+  else lines.push(`💀 ${t('daily.caught', { level: where, time: formatTime(time) })}`);
+  lines.push(streak > 0 ? `🔑 ${keys}  🔥 ${t('daily.streak', { n: streak })}` : `🔑 ${keys}`);
+  return lines.join('\n');
+}
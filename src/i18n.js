@@ -0,0 +1,302 @@
+// UI strings in Japanese and English.
+// - t(key, vars) looks a string up in the current language ({name} = vars.name)
+// - static text in index.html is tagged data-i18n="key" (data-i18n-title / -placeholder / -aria
+//   for attributes) and filled in by translatePage()
+// - the language is the saved choice, else navigator.language (ja* -> ja, anything else -> en)
+
+const STORAGE_KEY = 'backrooms-kids.lang';
+
+export const LANGS = { ja: '日本語', en: 'English' };
+
+const STRINGS = {
+  ja: {
+    // header / HUD
+    'hud.level': 'レベル',
+    'hud.keys': '鍵',
+    'hud.status': '状態',
+    'hud.doorKeys': 'ドアの鍵',
+    'hud.battery': 'ライトの電池',
+    'hud.stamina': 'スタミナ',
+    'hud.lookHint': '右側をスワイプで視点',
+    'hud.lookHintLeft': '左側をスワイプで視点',
+    'hud.desktopHint': '{move}で移動・{sprint}でダッシュ・{sneak}でそっと・{light}でライト・{hide}で隠れる・クリックでマウス視点・{pause}でポーズ',
+    'hud.goal': '鍵を全部拾って出口へ',
+    'btn.map': 'マップ',
+    'btn.pause': 'ポーズ',
+    'btn.resume': 'つづける',
+    'btn.settings': '設定',
+    'btn.sneak': 'そっと',
+    'btn.sprint': 'ダッシュ',
+    'btn.light': 'ライト',
+    'btn.hide': 'かくれる',
+
+    // start / end card
+    'card.desc': '左下スティックで移動。右側をスワイプで視点を回す。鍵を全部拾って出口を開けよう（数は難易度で変わる）。敵に触れたらゲームオーバー。PCはWASD/矢印キーで移動、画面クリックでマウス視点、Escでポーズ。右上のマップには見た場所だけが残る（M / Mapボタンで表示切替、ポーズ中は全体表示）。足音は敵に聞こえる：Sneak（C / スティックを少しだけ倒す）で静かに歩こう。',
+    'card.difficulty': 'むずかしさ',
+    'card.layout': 'レイアウト',
+    'card.seed': 'シード',
+    'card.seedPlaceholder': 'Seed: 空欄でランダム（同じseedで同じ迷路）',
+    'card.hint': 'Safariで「共有→ホーム画面に追加」でアプリっぽく遊べます',
+    'difficulty.easy': 'かんたん',
+    'difficulty.normal': 'ふつう',
+    'difficulty.hard': 'むずかしい',
+    'difficulty.nightmare': '悪夢',
+    'layout.perLevel': 'レイアウト: レベルごと',
+    'layout.maze': '迷路',
+    'layout.rooms': '部屋',
+    'layout.halls': '大広間',
+    'btn.start': 'スタート',
+    'btn.continue': 'つづきから',
+    'btn.retry': 'もう一回',
+    'btn.copyLink': 'リンクをコピー',
+    'btn.copied': 'コピーしました！',
+    'btn.watchReplay': 'リプレイを見る',
+    'btn.saveReplay': 'リプレイを保存',
+    'btn.loadReplay': 'リプレイを開く',
+    'btn.reset': 'リセット',
+    'btn.close': '閉じる',
+    'btn.reload': '再読み込み',
+    'controls.title': '操作（キー・ゲームパッド設定）',
+    'controls.pressKey': 'キーを押して…',
+    'controls.pressButton': 'ボタンを押して…',
+    'update.available': '新しいバージョンがあります',
+
+    // run results
+    'end.win': 'クリア！',
+    'end.winDesc': '{levels}つのレベルをぜんぶ脱出した！（seed: {seed}）',
+    'end.caught': 'ゲームオーバー',
+    'end.caughtDesc': '{level}でつかまった…（seed: {seed}）',
+    'end.finished': '再生おわり',
+    'end.finishedDesc': 'seed: {seed}',
+    'end.replay': 'リプレイ: {title}',
+    'stats.time': 'タイム',
+    'stats.distance': '歩いた距離',
+    'stats.spotted': '見つかった回数',
+    'stats.keys': '鍵を拾った時間',
+    'stats.closest': 'いちばん近づかれた距離',
+    'stats.tiles': '{n}マス',
+    'scores.title': 'この迷路のベストタイム',
+    'scores.newBest': '自己ベスト更新！',
+    'btn.daily': 'きょうの迷路',
+    'btn.share': 'シェア',
+    'daily.title': 'きょうの迷路',
+    'daily.escaped': '{time}で脱出',
+    'daily.caught': '{level}でつかまった（{time}）',
+    'daily.streak': '{n}日連続',
+
+    // sim.js LEVELS
+    'level.0': 'レベル0',
+    'level.1': 'レベル1',
+    'level.2': 'レベル2',
+
+    // status codes from the Sim
+    'status.findKeys': '鍵をさがせ',
+    'status.goExit': '出口へ行け',
+    'status.needKeys': '鍵が{n}本いる',
+    'status.locked': 'カギがかかってる：{color}の鍵をさがせ',
+    'status.hidden': 'かくれ中…しずかに',
+    'status.heard': '足音を聞かれた…',
+    'status.run': 'にげろ！',
+    'color.red': '赤',
+    'color.blue': '青',
+    'color.orange': 'オレンジ',
+    'key.door': '{color}の鍵',
+
+    // canvas text
+    'prompt.locker': 'ロッカーにかくれる ({key})',
+    'prompt.desk': '机の下にかくれる ({key})',
+    'paused': 'ポーズ中',
+
+    // dialogs
+    'replay.old': 'このリプレイは古いバージョンで記録されたので再生できません。',
+    'replay.invalid': 'Backrooms Kids のリプレイファイルではありません。',
+
+    // settings
+    'settings.title': '設定',
+    'settings.lang': 'ことば / Language',
+    'setting.sensitivity': '視点の感度',
+    'setting.fov': '視野角（°）',
+    'setting.volume': '音量',
+    'setting.renderScale': '描画解像度（最大DPR）',
+    'setting.stickRadius': 'スティックの半径（px）',
+    'setting.deadzone': 'スティックのあそび',
+    'setting.invertLook': '視点を左右反転',
+    'setting.leftHanded': '左利きレイアウト',
+
+    // remappable actions
+    'action.forward': '前',
+    'action.back': '後ろ',
+    'action.left': '左',
+    'action.right': '右',
+    'action.sprint': 'ダッシュ',
+    'action.sneak': 'そっと',
+    'action.light': 'ライト',
+    'action.hide': 'かくれる',
+    'action.map': 'マップ',
+    'action.pause': 'ポーズ',
+    'action.restart': 'リスタート',
+  },
+  en: {
+    'hud.level': 'Level',
+    'hud.keys': 'Keys',
+    'hud.status': 'Status',
+    'hud.doorKeys': 'Door keys',
+    'hud.battery': 'Flashlight battery',
+    'hud.stamina': 'Stamina',
+    'hud.lookHint': 'Swipe the right side to look',
+    'hud.lookHintLeft': 'Swipe the left side to look',
+    'hud.desktopHint': '{move} move · {sprint} sprint · {sneak} sneak · {light} light · {hide} hide · click for mouse look · {pause} pause',
+    'hud.goal': 'Get every key, then the exit',
+    'btn.map': 'Map',
+    'btn.pause': 'Pause',
+    'btn.resume': 'Resume',
+    'btn.settings': 'Settings',
+    'btn.sneak': 'Sneak',
+    'btn.sprint': 'Sprint',
+    'btn.light': 'Light',
+    'btn.hide': 'Hide',
+
+    'card.desc': 'Move with the stick at the bottom left and swipe the right side to look around. Pick up every key to open the exit (how many depends on the difficulty). Touch an enemy and it\'s game over. On a PC: WASD / arrow keys to move, click the screen for mouse look, Esc to pause. The map at the top right only shows places you have seen (M / Map to toggle, the whole map while paused). Enemies hear your footsteps: Sneak (C / push the stick only a little) to walk quietly.',
+    'card.difficulty': 'Difficulty',
+    'card.layout': 'Layout',
+    'card.seed': 'Seed',
+    'card.seedPlaceholder': 'Seed: blank for random (same seed, same maze)',
+    'card.hint': 'In Safari, Share → Add to Home Screen to play it like an app',
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.nightmare': 'Nightmare',
+    'layout.perLevel': 'Layout: per level',
+    'layout.maze': 'Maze',
+    'layout.rooms': 'Rooms',
+    'layout.halls': 'Open halls',
+    'btn.start': 'Start',
+    'btn.continue': 'Continue',
+    'btn.retry': 'Retry',
+    'btn.copyLink': 'Copy link',
+    'btn.copied': 'Copied!',
+    'btn.watchReplay': 'Watch replay',
+    'btn.saveReplay': 'Save replay',
+    'btn.loadReplay': 'Load replay',
+    'btn.reset': 'Reset',
+    'btn.close': 'Close',
+    'btn.reload': 'Reload',
+    'controls.title': 'Controls (keys / gamepad)',
+    'controls.pressKey': 'press a key…',
+    'controls.pressButton': 'press a button…',
+    'update.available': 'New version available',
+
+    'end.win': 'Clear!',
+    'end.winDesc': 'You escaped all {levels} levels. (seed: {seed})',
+    'end.caught': 'Game Over',
+    'end.caughtDesc': 'Caught on {level}... (seed: {seed})',
+    'end.finished': 'Finished',
+    'end.finishedDesc': 'seed: {seed}',
+    'end.replay': 'Replay: {title}',
+    'stats.time': 'Time',
+    'stats.distance': 'Distance walked',
+    'stats.spotted': 'Times spotted',
+    'stats.keys': 'Keys picked up at',
+    'stats.closest': 'Closest call',
+    'stats.tiles': '{n} tiles',
+    'scores.title': 'Best times on this maze',
+    'scores.newBest': 'New personal best!',
+    'btn.daily': 'Daily',
+    'btn.share': 'Share',
+    'daily.title': 'Daily',
+    'daily.escaped': 'Escaped in {time}',
+    'daily.caught': 'Caught on {level} ({time})',
+    'daily.streak': '{n}-day streak',
+
+    'level.0': 'Level 0',
+    'level.1': 'Level 1',
+    'level.2': 'Level 2',
+
+    'status.findKeys': 'Find keys',
+    'status.goExit': 'Go to EXIT',
+    'status.needKeys': 'Need {n} keys',
+    'status.locked': 'Locked: find the {color} key',
+    'status.hidden': 'Hiding... stay quiet',
+    'status.heard': 'It heard you...',
+    'status.run': 'RUN!',
+    'color.red': 'red',
+    'color.blue': 'blue',
+    'color.orange': 'orange',
+    'key.door': '{color} key',
+
+    'prompt.locker': 'Hide in the locker ({key})',
+    'prompt.desk': 'Hide under the desk ({key})',
+    'paused': 'PAUSED',
+
+    'replay.old': 'This replay was recorded by an older version and can\'t be played back.',
+    'replay.invalid': 'Not a Backrooms Kids replay file.',
+
+    'settings.title': 'Settings',
+    'settings.lang': 'Language / ことば',
+    'setting.sensitivity': 'Look sensitivity',
+    'setting.fov': 'Field of view (°)',
+    'setting.volume': 'Volume',
+    'setting.renderScale': 'Render scale (max DPR)',
+    'setting.stickRadius': 'Joystick radius (px)',
+    'setting.deadzone': 'Joystick deadzone',
+    'setting.invertLook': 'Invert look',
+    'setting.leftHanded': 'Left-handed layout',
+
+    'action.forward': 'forward',
+    'action.back': 'back',
+    'action.left': 'left',
+    'action.right': 'right',
+    'action.sprint': 'sprint',
+    'action.sneak': 'sneak',
+    'action.light': 'light',
+    'action.hide': 'hide',
+    'action.map': 'map',
+    'action.pause': 'pause',
+    'action.restart': 'restart',
+  },
+};
+
+let lang = detect();
+const listeners = [];
+
+function detect() {
+  let saved = null;
+  try { saved = globalThis.localStorage?.getItem(STORAGE_KEY); } catch {}
+  if (LANGS[saved]) return saved;
+  return String(globalThis.navigator?.language || '').toLowerCase().startsWith('ja') ? 'ja' : 'en';
+}
+
+export function getLang() {
+  return lang;
+}
+
+// switches, saves the choice and tells listeners (they re-render whatever text they own)
+export function setLang(name) {
+  if (!LANGS[name] || name === lang) return;
+  lang = name;
+  try { globalThis.localStorage?.setItem(STORAGE_KEY, name); } catch {}
+  for (const fn of listeners) fn(name);
+}
+
+export function onLangChange(fn) {
+  listeners.push(fn);
+}
+
+// missing in this language -> English -> the key itself (so a gap shows up instead of blank text)
+export function t(key, vars = {}) {
+  const s = STRINGS[lang][key] ?? STRINGS.en[key] ?? key;
+  return s.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// sim.js LEVELS[n].name is the English name; what the player sees is 'level.<n>'
+export function levelName(n) {
+  return t(`level.${n}`);
+}
+
+export function translatePage(root = document) {
+  root.documentElement && (root.documentElement.lang = lang);
+  for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const el of root.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+  for (const el of root.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for (const el of root.querySelectorAll('[data-i18n-aria]')) el.setAttribute('aria-label', t(el.dataset.i18nAria));
+}
@@ -0,0 +1,279 @@
+// One action map for keyboard, touch and gamepad.
+// - digital inputs (keys, pad buttons) are bound to named actions
+// - bindings can be remapped and are persisted in localStorage
+// - analog sources (touch stick, pad sticks) are merged into one move vector
+
+const STORAGE_KEY = 'backrooms-kids.bindings';
+
+// digital actions that steer instead of firing once
+const MOVE_DIRS = {
+  forward: [0, -1],
+  back: [0, 1],
+  left: [-1, 0],
+  right: [1, 0],
+};
+
+// digital actions that stay on while held (emitted as (action, true/false))
+const HOLD_ACTIONS = new Set(['sneak', 'sprint']);
+
+export const ACTIONS = ['forward', 'back', 'left', 'right', 'sprint', 'sneak', 'light', 'hide', 'map', 'pause', 'restart'];
+
+// gamepad numbers are "standard" mapping button indices
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    forward: ['KeyW', 'ArrowUp'],
+    back: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    sneak: ['KeyC', 'ControlLeft'],
+    light: ['KeyF'],
+    hide: ['KeyE'],
+    map: ['KeyM'],
+    pause: ['Escape', 'KeyP'],
+    restart: ['KeyR'],
+  },
+  gamepad: {
+    forward: [12],
+    back: [13],
+    left: [14],
+    right: [15],
+    sprint: [5, 10],
+    sneak: [4],
+    light: [2],
+    hide: [1],
+    map: [3],
+    pause: [9],
+    restart: [0, 8],
+  },
+};
+
+const PAD_DEADZONE = 0.18;
+const PAD_LOOK_RATE = 2.6; // rad/s at full right-stick deflection
+
+export class Controls {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.bindings = this.load();
+
+    this.handlers = {};
+    this.held = new Set();
+    this.holding = new Set();
+    this.sticks = { touch: { x: 0, y: 0 }, pad: { x: 0, y: 0 } };
+    this.lastMove = { x: 0, y: 0 };
+
+    this.padPressed = [];
+    this.padLook = 0;
+
+    this.capture = null;
+  }
+
+  on(action, fn) {
+    (this.handlers[action] ||= []).push(fn);
+  }
+
+  emit(action, ...args) {
+    for (const fn of this.handlers[action] || []) fn(...args);
+  }
+
+  load() {
+    const b = structuredClone(DEFAULT_BINDINGS);
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      for (const device of Object.keys(b)) {
+        for (const action of ACTIONS) {
+          const list = saved?.[device]?.[action];
+          if (Array.isArray(list)) b[device][action] = list;
+        }
+      }
+    } catch {}
+    return b;
+  }
+
+  save() {
+    try { this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.bindings)); } catch {}
+  }
+
+  reset() {
+    this.bindings = structuredClone(DEFAULT_BINDINGS);
+    this.save();
+  }
+
+  actionFor(device, input) {
+    const map = this.bindings[device];
+    for (const action of ACTIONS) {
+      if (map[action].includes(input)) return action;
+    }
+    return null;
+  }
+
+  // first key bound to `action`, for on-screen hints ('Shift', 'E', '—' when unbound)
+  keyHint(action) {
+    const input = this.bindings.keyboard[action][0];
+    return input ? inputLabel('keyboard', input).replace(/(Left|Right)$/, '') : '—';
+  }
+
+  // the four move keys as one label ('WASD', '↑←↓→')
+  moveHint() {
+    return ['forward', 'left', 'back', 'right'].map(a => this.keyHint(a)).join('');
+  }
+
+  rebind(device, action, input) {
+    // an input drives exactly one action
+    const map = this.bindings[device];
+    for (const a of ACTIONS) map[a] = map[a].filter(i => i !== input);
+    map[action] = [input];
+    this.save();
+  }
+
+  // next key / pad button pressed is bound to `action` instead of firing
+  startCapture(device, action, done) {
+    this.capture = { device, action, done };
+  }
+
+  captureInput(device, input) {
+    const c = this.capture;
+    if (!c || c.device !== device) return false;
+    this.capture = null;
+    this.rebind(device, c.action, input);
+    c.done?.(input);
+    return true;
+  }
+
+  press(action) {
+    if (MOVE_DIRS[action]) {
+      this.held.add(action);
+      this.updateMove();
+    } else if (HOLD_ACTIONS.has(action)) {
+      if (this.holding.has(action)) return;
+      this.holding.add(action);
+      this.emit(action, true);
+    } else {
+      this.emit(action);
+    }
+  }
+
+  release(action) {
+    if (this.held.delete(action)) this.updateMove();
+    if (this.holding.delete(action)) this.emit(action, false);
+  }
+
+  // returns true when the key is bound (so the caller can preventDefault)
+  keyDown(code) {
+    if (this.captureInput('keyboard', code)) return true;
+    const action = this.actionFor('keyboard', code);
+    if (!action) return false;
+    this.press(action);
+    return true;
+  }
+
+  keyUp(code) {
+    const action = this.actionFor('keyboard', code);
+    if (action) this.release(action);
+  }
+
+  releaseAll() {
+    for (const action of [...this.holding]) this.release(action);
+    if (!this.held.size) return;
+    this.held.clear();
+    this.updateMove();
+  }
+
+  setStick(source, x, y) {
+    this.sticks[source].x = x;
+    this.sticks[source].y = y;
+    this.updateMove();
+  }
+
+  look(dx) {
+    this.emit('look', dx);
+  }
+
+  updateMove() {
+    let kx = 0;
+    let ky = 0;
+    for (const action of this.held) {
+      kx += MOVE_DIRS[action][0];
+      ky += MOVE_DIRS[action][1];
+    }
+    const klen = Math.hypot(kx, ky) || 1;
+
+    let x = kx / klen;
+    let y = ky / klen;
+    for (const s of Object.values(this.sticks)) {
+      x += s.x;
+      y += s.y;
+    }
+    const len = Math.hypot(x, y);
+    if (len > 1) {
+      x /= len;
+      y /= len;
+    }
+
+    if (x === this.lastMove.x && y === this.lastMove.y) return;
+    this.lastMove.x = x;
+    this.lastMove.y = y;
+    this.emit('move', x, y);
+  }
+
+  // called once per frame from Game.loop
+  poll() {
+    const pads = globalThis.navigator?.getGamepads?.() || [];
+    const pad = Array.from(pads).find(p => p && p.connected);
+    if (!pad) {
+      if (this.padPressed.length) this.padDisconnected();
+      return;
+    }
+
+    // left stick -> move, right stick -> continuous look rate
+    const [lx = 0, ly = 0, rx = 0] = pad.axes;
+    const mx = deadzone(lx);
+    const my = deadzone(ly);
+    if (mx !== this.sticks.pad.x || my !== this.sticks.pad.y) this.setStick('pad', mx, my);
+
+    const rate = Math.sign(rx) * deadzone(Math.abs(rx)) ** 2 * PAD_LOOK_RATE;
+    if (rate !== this.padLook) {
+      this.padLook = rate;
+      this.emit('lookRate', rate);
+    }
+
+    pad.buttons.forEach((b, i) => {
+      const down = b.pressed;
+      const was = !!this.padPressed[i];
+      this.padPressed[i] = down;
+      if (down === was) return;
+      if (down && this.captureInput('gamepad', i)) return;
+      const action = this.actionFor('gamepad', i);
+      if (!action) return;
+      if (down) this.press(action);
+      else this.release(action);
+    });
+  }
+
+  padDisconnected() {
+    this.padPressed = [];
+    for (const a of Object.keys(MOVE_DIRS)) this.held.delete(a);
+    for (const a of [...this.holding]) this.release(a);
+    this.setStick('pad', 0, 0);
+    if (this.padLook !== 0) {
+      this.padLook = 0;
+      this.emit('lookRate', 0);
+    }
+  }
+}
+
+function deadzone(v) {
+  const a = Math.abs(v);
+  if (a < PAD_DEADZONE) return 0;
+  return Math.sign(v) * (a - PAD_DEADZONE) / (1 - PAD_DEADZONE);
+}
+
+// short labels for the remap UI
+export function inputLabel(device, input) {
+  if (device === 'gamepad') return `Pad ${input}`;
+  const short = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+  if (short[input]) return short[input];
+  if (input.startsWith('Key')) return input.slice(3);
+  if (input.startsWith('Digit')) return input.slice(5);
+  return input;
+}
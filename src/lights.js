@@ -0,0 +1,161 @@
+// Ceiling fluorescent panels on the grid (render / audio only).
+// - each panel is steady, flickering or dead; a few clusters of dead panels make dark zones
+// - light levels are kept per cell and sampled bilinearly for walls, floor, ceiling and sprites
+// - flicker is a pure function of sim time, so replays and pauses look (and buzz) the same
+// - closed doors count as floor for the layout (opening one or resuming a run keeps the same
+//   panels); relight() redoes the reach around a door once it opens
+// Uses its own rng derived from the run seed so it never touches the Sim's random stream.
+
+import { rng } from './maze.js';
+
+const PANEL_CHANCE = 0.2; // per floor cell
+const FLICKER_CHANCE = 0.18;
+const DEAD_ZONES = 3; // dark clusters per map
+const DEAD_ZONE_RADIUS = 4.5;
+const REACH = 4; // tiles a panel lights
+const AMBIENT = 0.25;
+const HEAR_RANGE = 6; // tiles the hum / crackle carries
+
+export class Lights {
+  constructor(grid, seed, doors = []) {
+    const R = rng((seed ^ 0x9e3779b9) >>> 0);
+    this.w = grid[0].length;
+    this.h = grid.length;
+
+    // panel index per cell (-1 = plain tile)
+    this.panelAt = new Int32Array(this.w * this.h).fill(-1);
+    this.level = new Float32Array(this.w * this.h).fill(AMBIENT);
+    this.panels = [];
+
+    const door = new Set(doors.map(d => d.y * this.w + d.x));
+    const floors = [];
+    for (let y = 0; y < this.h; y++) {
+      for (let x = 0; x < this.w; x++) if (grid[y][x] === 0 || door.has(y * this.w + x)) floors.push({ x, y });
+    }
+    const zones = [];
+    for (let i = 0; i < DEAD_ZONES && floors.length; i++) zones.push(floors[Math.floor(R() * floors.length)]);
+
+    for (const c of floors) {
+      if (R() >= PANEL_CHANCE) continue;
+      const dead = zones.some(z => Math.hypot(z.x - c.x, z.y - c.y) < DEAD_ZONE_RADIUS);
+      const kind = dead ? 'dead' : (R() < FLICKER_CHANCE ? 'flicker' : 'steady');
+      this.panelAt[c.y * this.w + c.x] = this.panels.length;
+      this.panels.push({
+        x: c.x + 0.5,
+        y: c.y + 0.5,
+        kind,
+        phase: Math.floor(R() * 0x7fffffff),
+        on: kind !== 'dead' ? 1 : 0,
+        cells: litCells(grid, c.x, c.y),
+      });
+    }
+    this.update(0);
+  }
+
+  // the grid changed at (x, y) (a door opened): panels in reach light through it now
+  relight(grid, x, y) {
+    for (const p of this.panels) {
+      if (Math.hypot(p.x - 0.5 - x, p.y - 0.5 - y) > REACH) continue;
+      p.cells = litCells(grid, Math.floor(p.x), Math.floor(p.y));
+    }
+  }
+
+  // recompute panel states + per-cell levels for sim time `t` (seconds);
+  // panels that just snapped back on are flagged for a crackle
+  update(t) {
+    this.level.fill(AMBIENT);
+    for (const p of this.panels) {
+      const on = p.kind === 'steady' ? 1 : p.kind === 'dead' ? 0 : flicker(t, p.phase);
+      p.struck = on > p.on;
+      p.on = on;
+      if (!on) continue;
+      for (let i = 0; i < p.cells.length; i += 2) this.level[p.cells[i]] += p.cells[i + 1] * on;
+    }
+  }
+
+  // 0..1 light at world position, bilinear between cell centres
+  at(x, y) {
+    const fx = x - 0.5;
+    const fy = y - 0.5;
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const a = this.cell(x0, y0) + (this.cell(x0 + 1, y0) - this.cell(x0, y0)) * tx;
+    const b = this.cell(x0, y0 + 1) + (this.cell(x0 + 1, y0 + 1) - this.cell(x0, y0 + 1)) * tx;
+    return Math.min(1, a + (b - a) * ty);
+  }
+
+  cell(x, y) {
+    if (x < 0 || y < 0 || x >= this.w || y >= this.h) return 0;
+    return this.level[y * this.w + x];
+  }
+
+  // lit / dead / flickering panel in this ceiling cell (null = no panel)
+  panel(x, y) {
+    if (x < 0 || y < 0 || x >= this.w || y >= this.h) return null;
+    const i = this.panelAt[y * this.w + x];
+    return i < 0 ? null : this.panels[i];
+  }
+
+  // what the player hears: hum 0..1 from nearby lit panels, crackle 0..1 from
+  // flickering panels that struck this frame
+  sound(x, y) {
+    let hum = 0;
+    let crackle = 0;
+    for (const p of this.panels) {
+      const d = Math.hypot(p.x - x, p.y - y);
+      if (d >= HEAR_RANGE) continue;
+      const k = 1 - d / HEAR_RANGE;
+      hum += k * p.on * 0.5;
+      if (p.struck) crackle = Math.max(crackle, k);
+    }
+    return { hum: Math.min(1, hum), crackle };
+  }
+}
+
+// mostly on; every couple of seconds a panel may go into a stutter burst
+function flicker(t, phase) {
+  const win = Math.floor(t / 2.2 + (phase % 97) / 97);
+  if (hash(win ^ phase) > 0.45) return 1;
+  return hash(Math.floor(t * 16) * 31 + phase) < 0.5 ? 1 : 0.12;
+}
+
+function hash(n) {
+  let x = Math.imul((n | 0) ^ 0x27d4eb2d, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return (x >>> 0) / 4294967296;
+}
+
+// [cellIndex, weight, ...] for cells the panel at (px, py) reaches without a wall
+// in between (wall cells on the edge count, so faces facing the panel get lit);
+// a panel over a closed door lights nothing until it opens
+function litCells(grid, px, py) {
+  const w = grid[0].length;
+  const out = [];
+  if (grid[py][px] === 1) return out;
+  const r = Math.ceil(REACH);
+  for (let y = py - r; y <= py + r; y++) {
+    for (let x = px - r; x <= px + r; x++) {
+      if (y < 0 || x < 0 || y >= grid.length || x >= w) continue;
+      const d = Math.hypot(x - px, y - py);
+      if (d >= REACH || !clearLine(grid, px, py, x, y)) continue;
+      const k = 1 - d / REACH;
+      out.push(y * w + x, k * k);
+    }
+  }
+  return out;
+}
+
+function clearLine(grid, x0, y0, x1, y1) {
+  const n = Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 3);
+  for (let i = 1; i < n; i++) {
+    const x = Math.floor(x0 + 0.5 + ((x1 - x0) * i) / n);
+    const y = Math.floor(y0 + 0.5 + ((y1 - y0) * i) / n);
+    if (x === x1 && y === y1) break;
+    if (grid[y][x] === 1) return false;
+  }
+  return true;
+}
@@ -1,59 +1,399 @@
 import { makeIcons } from './png.js';
-import { Game } from './runtime.js';
+import { Game, parseSeed, isReplay, isSnapshot, REPLAY_VERSION } from './runtime.js';
 import { AudioManager } from './audio.js';
+import { Controls, ACTIONS, inputLabel } from './input.js';
+import { Settings, SETTINGS } from './settings.js';
+import { Leaderboard, boardKey, formatTime } from './scores.js';
+import { Daily, DAILY_DIFFICULTY, dateKey, dailySeed, shareText } from './daily.js';
+import { t, LANGS, getLang, setLang, onLangChange, translatePage } from './i18n.js';
 
 const canvas = document.getElementById('game');
 const ui = {
   overlay: document.getElementById('overlay'),
   title: document.getElementById('title'),
   desc: document.getElementById('desc'),
+  stats: document.getElementById('stats'),
+  scores: document.getElementById('scores'),
   btnStart: document.getElementById('btnStart'),
+  btnContinue: document.getElementById('btnContinue'),
+  btnDaily: document.getElementById('btnDaily'),
+  daily: document.getElementById('daily'),
+  dailyText: document.getElementById('dailyText'),
+  btnShare: document.getElementById('btnShare'),
   btnRestart: document.getElementById('btnRestart'),
   btnPause: document.getElementById('btnPause'),
+  btnMap: document.getElementById('btnMap'),
+  btnSettings: document.getElementById('btnSettings'),
+  btnOverlaySettings: document.getElementById('btnOverlaySettings'),
+  settings: document.getElementById('settings'),
+  settingsList: document.getElementById('settingsList'),
+  btnResetSettings: document.getElementById('btnResetSettings'),
+  btnCloseSettings: document.getElementById('btnCloseSettings'),
+  lookHint: document.getElementById('lookHint'),
+  langSelects: document.querySelectorAll('.langSelect'),
+  btnCopyLink: document.getElementById('btnCopyLink'),
+  seedInput: document.getElementById('seedInput'),
+  difficulty: document.getElementById('difficulty'),
+  layout: document.getElementById('layout'),
+  keysNeed: document.getElementById('keysNeed'),
+  level: document.getElementById('level'),
+  btnReplay: document.getElementById('btnReplay'),
+  btnSaveReplay: document.getElementById('btnSaveReplay'),
+  btnLoadReplay: document.getElementById('btnLoadReplay'),
+  replayFile: document.getElementById('replayFile'),
   keys: document.getElementById('keys'),
   status: document.getElementById('status'),
   stick: document.getElementById('stick'),
   knob: document.getElementById('knob'),
+  btnSneak: document.getElementById('btnSneak'),
+  btnSprint: document.getElementById('btnSprint'),
+  stamina: document.getElementById('stamina'),
+  battery: document.getElementById('battery'),
+  inventory: document.getElementById('inventory'),
+  btnHide: document.getElementById('btnHide'),
+  updateBar: document.getElementById('updateBar'),
+  btnUpdate: document.getElementById('btnUpdate'),
+  btnLight: document.getElementById('btnLight'),
+  bindList: document.getElementById('bindList'),
+  desktopHint: document.getElementById('desktopHint'),
+  btnResetBinds: document.getElementById('btnResetBinds'),
 };
 
 ui.overlay.style.display = 'flex';
 ui.btnRestart.style.display = 'none';
+translatePage();
+
+// ?seed=123&difficulty=hard(&layout=halls) starts that exact maze (shared via "Copy link")
+const params = new URLSearchParams(location.search);
+const urlSeed = params.get('seed');
+if (urlSeed) ui.seedInput.value = urlSeed;
+
+const DIFFICULTY_KEY = 'backrooms-kids.difficulty';
+let storedDifficulty = null;
+try { storedDifficulty = localStorage.getItem(DIFFICULTY_KEY); } catch {}
+ui.difficulty.value = params.get('difficulty') || storedDifficulty || 'normal';
+if (!ui.difficulty.value) ui.difficulty.value = 'normal';
+ui.difficulty.addEventListener('change', () => {
+  try { localStorage.setItem(DIFFICULTY_KEY, ui.difficulty.value); } catch {}
+});
+
+// '' = each level's own generator
+const LAYOUT_KEY = 'backrooms-kids.layout';
+let storedLayout = null;
+try { storedLayout = localStorage.getItem(LAYOUT_KEY); } catch {}
+ui.layout.value = params.get('layout') ?? storedLayout ?? '';
+if (!ui.layout.value) ui.layout.value = '';
+ui.layout.addEventListener('change', () => {
+  try { localStorage.setItem(LAYOUT_KEY, ui.layout.value); } catch {}
+});
 
 // generate icons on first load if missing (noop on GH pages)
 makeIcons().catch(()=>{});
 
+const MINIMAP_KEY = 'backrooms-kids.minimap';
+// the run in progress, saved on pause / tab hide so a reload or a killed tab can pick it up
+const SAVE_KEY = 'backrooms-kids.save';
+
 const audio = new AudioManager();
-const game = new Game({ canvas, ui, audio });
+const controls = new Controls();
+const settings = new Settings();
+const scores = new Leaderboard();
+let lastScores = null; // { key, rank } of the board on the end card
+const dailyStore = new Daily();
+let daily = null; // { date, scored } while the run is a Daily
+let lastDaily = null; // scored Daily result on the end card
+const game = new Game({ canvas, ui, audio, input: controls });
+try { game.showMinimap = localStorage.getItem(MINIMAP_KEY) !== '0'; } catch {}
+game.sim.on('end', (result) => {
+  if (game.replay) return;
+  clearSave();
+  showScores(result === 'win' ? recordScore() : null);
+  showDaily(daily?.scored ? finishDaily(result) : null);
+});
+showDailyButton();
+ui.btnContinue.style.display = loadSave() ? '' : 'none';
 
-ui.btnStart.addEventListener('click', async () => {
-  // audio requires a user gesture
-  await audio.start();
-  ui.overlay.style.display = 'none';
-  game.startNew();
+// every input source goes through the action map
+controls.on('move', (vx, vy) => game.setMove(vx, vy));
+controls.on('look', (dx) => game.addLook(dx));
+controls.on('lookRate', (rate) => game.setLookRate(rate));
+controls.on('sneak', (on) => game.setSneak(on));
+controls.on('sprint', (on) => game.setSprint(on));
+controls.on('light', () => game.toggleLight());
+controls.on('hide', () => game.pressHide());
+controls.on('pause', () => togglePause());
+controls.on('map', () => {
+  game.toggleMinimap();
+  try { localStorage.setItem(MINIMAP_KEY, game.showMinimap ? '1' : '0'); } catch {}
+});
+controls.on('restart', () => {
+  // only from the start / end screen, never mid-run
+  if (!game.running) retry();
 });
 
-ui.btnRestart.addEventListener('click', async () => {
-  await audio.start();
-  ui.overlay.style.display = 'none';
-  game.startNew();
+ui.btnStart.addEventListener('click', () => start());
+ui.btnContinue.addEventListener('click', () => continueRun());
+ui.btnDaily.addEventListener('click', () => startDaily());
+ui.btnShare.addEventListener('click', () => shareDaily());
+ui.btnRestart.addEventListener('click', () => retry());
+ui.btnPause.addEventListener('click', () => controls.press('pause'));
+ui.btnMap.addEventListener('click', () => controls.press('map'));
+ui.btnCopyLink.addEventListener('click', () => copyLink());
+ui.btnReplay.addEventListener('click', () => {
+  if (game.lastRecording) startReplay(game.lastRecording);
+});
+ui.btnSaveReplay.addEventListener('click', () => saveReplay());
+ui.btnLoadReplay.addEventListener('click', () => ui.replayFile.click());
+ui.replayFile.addEventListener('change', () => loadReplay());
+ui.btnResetBinds.addEventListener('click', () => {
+  controls.reset();
+  renderBindings();
+});
+ui.btnSettings.addEventListener('click', () => openSettings());
+ui.btnOverlaySettings.addEventListener('click', () => openSettings());
+ui.btnCloseSettings.addEventListener('click', () => { ui.settings.hidden = true; });
+ui.btnResetSettings.addEventListener('click', () => {
+  settings.reset();
+  renderSettings();
+  applySettings();
+});
+
+bindJoystick(ui.stick, ui.knob, (vx, vy) => controls.setStick('touch', vx, vy));
+bindLook(canvas, (dx) => controls.look(dx));
+bindHoldButton(ui.btnSneak, 'sneak');
+bindHoldButton(ui.btnSprint, 'sprint');
+ui.btnLight.addEventListener('click', () => controls.press('light'));
+ui.btnHide.addEventListener('click', () => controls.press('hide'));
+bindKeyboard(controls);
+bindMouseLook(canvas, (dx) => controls.look(dx), () => {
+  // Esc under pointer lock only releases the lock, so treat that as pause
+  if (game.running && !game.paused) togglePause();
+});
+bindDesktopDetect();
+bindUpdates();
+bindLanguage();
+renderBindings();
+renderSettings();
+applySettings();
+
+window.addEventListener('resize', () => game.resize());
+// backgrounded tab / locked phone: pause (which saves) so nothing happens unseen
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  if (game.running && !game.paused) togglePause();
+  else saveRun();
 });
 
-ui.btnPause.addEventListener('click', () => {
+function start() {
+  daily = null;
+  const seed = parseSeed(ui.seedInput.value);
+  begin(seed ?? undefined, { difficulty: ui.difficulty.value, layout: ui.layout.value || null });
+}
+
+// today's maze; only the first go of the day is scored, later ones are practice
+function startDaily() {
+  const date = dateKey();
+  daily = { date, scored: dailyStore.canScore(date) };
+  if (daily.scored) dailyStore.begin(date);
+  begin(dailySeed(date), { difficulty: DAILY_DIFFICULTY, layout: null });
+}
+
+// the same Daily again (that day's maze, even past midnight) is practice; anything else goes by the seed box
+function retry() {
+  if (!daily) return start();
+  daily = { date: daily.date, scored: false };
+  begin(dailySeed(daily.date), { difficulty: DAILY_DIFFICULTY, layout: null });
+}
+
+function begin(seed, options) {
+  // audio requires a user gesture; a gamepad press may not count as one,
+  // so don't hold the run back waiting for it
+  audio.start().catch(() => {});
+  ui.overlay.style.display = 'none';
+  ui.btnContinue.style.display = 'none';
+  clearSave();
+  game.startNew(seed, options);
+  lockPointer();
+}
+
+function continueRun() {
+  const data = loadSave();
+  ui.btnContinue.style.display = 'none';
+  if (!data) return;
+  audio.start().catch(() => {});
+  ui.overlay.style.display = 'none';
+  daily = data.daily ?? null;
+  game.continueRun(data);
+  lockPointer();
+}
+
+function saveRun() {
+  const data = game.saveState();
+  if (!data) return;
+  try { localStorage.setItem(SAVE_KEY, JSON.stringify({ ...data, daily })); } catch {}
+}
+
+// null when missing, unreadable or from an older version
+function loadSave() {
+  try {
+    const data = JSON.parse(localStorage.getItem(SAVE_KEY) || 'null');
+    return isSnapshot(data?.sim) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function clearSave() {
+  try { localStorage.removeItem(SAVE_KEY); } catch {}
+}
+
+// escaped runs go on the board for their maze (replays never do)
+function recordScore() {
+  const sim = game.sim;
+  const key = boardKey(sim);
+  const rank = scores.add(key, { ticks: sim.tick, time: sim.time, date: Date.now(), spotted: sim.stats.spotted });
+  return { key, rank };
+}
+
+// best times under the end card: the fastest run starred, this run highlighted
+function showScores(run) {
+  lastScores = run;
+  const el = ui.scores;
+  el.textContent = '';
+  el.hidden = !run;
+  if (!run) return;
+  const title = document.createElement('h2');
+  title.textContent = t(run.rank === 0 ? 'scores.newBest' : 'scores.title');
+  const list = document.createElement('ol');
+  scores.list(run.key).forEach((s, i) => {
+    const li = document.createElement('li');
+    li.textContent = `${formatTime(s.time)} — ${new Date(s.date).toLocaleDateString(getLang())}`;
+    li.classList.toggle('best', i === 0);
+    li.classList.toggle('me', i === run.rank);
+    list.append(li);
+  });
+  el.append(title, list);
+}
+
+function finishDaily(result) {
+  const sim = game.sim;
+  return dailyStore.finish(daily.date, {
+    result, time: sim.time, keys: sim.keysTotal + sim.keys, level: sim.level,
+  });
+}
+
+// the shareable result under the end card (no layout spoilers: just time, keys and the outcome)
+function showDaily(result) {
+  lastDaily = result;
+  ui.daily.hidden = !result;
+  ui.dailyText.textContent = result ? shareText(result) : '';
+  showDailyButton();
+}
+
+// "Daily", plus ✓ once today's scored attempt is used and the streak while it's alive
+function showDailyButton() {
+  const streak = dailyStore.streak();
+  let label = t('btn.daily');
+  if (!dailyStore.canScore()) label += ' ✓';
+  if (streak > 0) label += ` 🔥${streak}`;
+  ui.btnDaily.textContent = label;
+}
+
+async function shareDaily() {
+  if (!lastDaily) return;
+  const text = shareText(lastDaily);
+  try {
+    // share sheet on phones, clipboard elsewhere
+    if (navigator.share) {
+      await navigator.share({ text });
+      return;
+    }
+    await navigator.clipboard.writeText(text);
+    ui.btnShare.textContent = t('btn.copied');
+    setTimeout(() => { ui.btnShare.textContent = t('btn.share'); }, 1500);
+  } catch (err) {
+    // cancelled share sheet: nothing to do; blocked clipboard: let the player copy by hand
+    if (err?.name !== 'AbortError') window.prompt(t('btn.share'), text);
+  }
+}
+
+function startReplay(data) {
+  showScores(null);
+  showDaily(null);
+  audio.start().catch(() => {});
+  ui.overlay.style.display = 'none';
+  game.startReplay(data);
+}
+
+// replay files are seed + input log JSON; attach them to "caught through a wall" reports
+function saveReplay() {
+  const data = game.lastRecording;
+  if (!data) return;
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `backrooms-replay-${data.seed}-${data.end.result}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+async function loadReplay() {
+  const file = ui.replayFile.files[0];
+  ui.replayFile.value = '';
+  if (!file) return;
+  let data = null;
+  try { data = JSON.parse(await file.text()); } catch {}
+  if (!isReplay(data)) {
+    const old = Number.isInteger(data?.v) && data.v < REPLAY_VERSION;
+    window.alert(t(old ? 'replay.old' : 'replay.invalid'));
+    return;
+  }
+  startReplay(data);
+}
+
+async function copyLink() {
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('seed', String(game.seed));
+  url.searchParams.set('difficulty', game.sim.difficulty);
+  if (game.sim.layout) url.searchParams.set('layout', game.sim.layout);
+  try {
+    await navigator.clipboard.writeText(url.href);
+    ui.btnCopyLink.textContent = t('btn.copied');
+  } catch {
+    // clipboard can be blocked (http, old Safari); let the player copy by hand
+    window.prompt(t('btn.copyLink'), url.href);
+  }
+  setTimeout(() => { ui.btnCopyLink.textContent = t('btn.copyLink'); }, 1500);
+}
+
+function togglePause() {
   if (!game.running) return;
   game.togglePause();
-  ui.btnPause.textContent = game.paused ? 'Resume' : 'Pause';
-});
+  showPauseLabel();
+  if (game.paused) {
+    saveRun();
+    if (document.pointerLockElement) document.exitPointerLock();
+  } else {
+    lockPointer();
+  }
+}
 
-bindJoystick(ui.stick, ui.knob, (vx, vy) => game.setMove(vx, vy));
-bindLook(canvas, (dx) => game.addLook(dx));
+function showPauseLabel() {
+  ui.btnPause.textContent = t(game.paused && game.running ? 'btn.resume' : 'btn.pause');
+}
 
-window.addEventListener('resize', () => game.resize());
+function lockPointer() {
+  if (!document.body.classList.contains('desktop')) return;
+  if (document.pointerLockElement !== canvas) canvas.requestPointerLock?.();
+}
 
 function bindJoystick(stick, knob, onMove) {
   const state = { active: false, id: null, cx: 0, cy: 0 };
 
   const setKnob = (dx, dy) => {
-    const r = 54;
+    const r = settings.get('stickRadius');
     const len = Math.hypot(dx, dy) || 1;
     const k = Math.min(1, len / r);
     const nx = (dx / len) * (k * r);
@@ -91,12 +431,27 @@ function bindJoystick(stick, knob, onMove) {
   stick.addEventListener('pointercancel', end);
 }
 
+// on-screen button held down = action held (touch HUD)
+function bindHoldButton(btn, action) {
+  btn.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    btn.setPointerCapture(e.pointerId);
+    controls.press(action);
+  }, { passive: false });
+  const end = () => controls.release(action);
+  btn.addEventListener('pointerup', end);
+  btn.addEventListener('pointercancel', end);
+}
+
 function bindLook(canvas, onDx) {
   const state = { active: false, id: null, lastX: 0 };
   canvas.addEventListener('pointerdown', (e) => {
-    // only right half to avoid stick area
+    // mouse uses pointer lock instead (bindMouseLook)
+    if (e.pointerType === 'mouse') return;
+    // only the side away from the stick (the left-handed layout swaps them)
     const rect = canvas.getBoundingClientRect();
-    if (e.clientX < rect.left + rect.width * 0.45) return;
+    const x = (e.clientX - rect.left) / rect.width;
+    if (settings.get('leftHanded') ? x > 0.55 : x < 0.45) return;
     state.active = true;
     state.id = e.pointerId;
     state.lastX = e.clientX;
@@ -116,3 +471,188 @@ function bindLook(canvas, onDx) {
   canvas.addEventListener('pointerup', end);
   canvas.addEventListener('pointercancel', end);
 }
+
+function bindKeyboard(controls) {
+  window.addEventListener('keydown', (e) => {
+    if (e.target instanceof HTMLInputElement) return;
+    // under pointer lock the browser releases the lock instead (see bindMouseLook)
+    if (e.code === 'Escape' && document.pointerLockElement && !controls.capture) return;
+    if (e.repeat) {
+      if (controls.actionFor('keyboard', e.code)) e.preventDefault();
+      return;
+    }
+    if (controls.keyDown(e.code)) e.preventDefault();
+  });
+
+  window.addEventListener('keyup', (e) => controls.keyUp(e.code));
+
+  // avoid stuck keys when the window loses focus mid-press
+  window.addEventListener('blur', () => controls.releaseAll());
+}
+
+function bindMouseLook(canvas, onDx, onUnlock) {
+  canvas.addEventListener('click', () => {
+    if (!game.running || game.paused) return;
+    lockPointer();
+  });
+
+  document.addEventListener('mousemove', (e) => {
+    if (document.pointerLockElement !== canvas) return;
+    onDx(e.movementX);
+  });
+
+  document.addEventListener('pointerlockchange', () => {
+    if (document.pointerLockElement !== canvas) onUnlock();
+  });
+}
+
+function bindDesktopDetect() {
+  // hide the touch stick once a keyboard/mouse shows up; bring it back on touch
+  const body = document.body;
+  window.addEventListener('keydown', () => body.classList.add('desktop'));
+  window.addEventListener('pointermove', (e) => {
+    if (e.pointerType === 'mouse') body.classList.add('desktop');
+  });
+  window.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'touch') body.classList.remove('desktop');
+  }, { capture: true });
+}
+
+// offline cache (sw.js); a new version waits until the player chooses to reload
+function bindUpdates() {
+  if (!('serviceWorker' in navigator)) return;
+  const offer = (worker) => {
+    ui.updateBar.hidden = false;
+    ui.btnUpdate.onclick = () => {
+      saveRun(); // the reload can be picked up with Continue
+      worker.postMessage({ type: 'skipWaiting' });
+    };
+  };
+
+  navigator.serviceWorker.register('./sw.js').then((reg) => {
+    // already installed while an older page was open
+    if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        // first install has no controller: nothing to update from
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+      });
+    });
+  }).catch(() => {});
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+// from the start screen, or mid-run (pauses first)
+function openSettings() {
+  if (game.running && !game.paused) togglePause();
+  ui.settings.hidden = false;
+}
+
+// pushes every setting into the game, audio and layout (on load and on each change)
+function applySettings() {
+  const v = settings.values;
+  game.sensitivity = v.sensitivity;
+  game.invertLook = v.invertLook;
+  game.fov = (v.fov * Math.PI) / 180;
+  game.deadzone = v.deadzone;
+  game.maxDpr = v.renderScale;
+  game.resize();
+  audio.setVolume(v.volume);
+  document.body.classList.toggle('left-handed', v.leftHanded);
+  ui.lookHint.textContent = t(v.leftHanded ? 'hud.lookHintLeft' : 'hud.lookHint');
+}
+
+function renderSettings() {
+  const list = ui.settingsList;
+  list.textContent = '';
+  for (const [name, s] of Object.entries(SETTINGS)) {
+    const row = document.createElement('label');
+    row.className = 'setting';
+    const label = document.createElement('span');
+    label.textContent = t(`setting.${name}`);
+    const input = document.createElement('input');
+    const value = document.createElement('output');
+    const show = () => {
+      const v = settings.get(name);
+      value.textContent = Number.isInteger(s.step) ? String(Math.round(v)) : String(+v.toFixed(2));
+    };
+    if (typeof s.def === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = settings.get(name);
+    } else {
+      input.type = 'range';
+      input.min = String(s.min);
+      input.max = String(s.max);
+      input.step = String(s.step);
+      input.value = String(settings.get(name));
+      show();
+    }
+    input.addEventListener('input', () => {
+      settings.set(name, input.type === 'checkbox' ? input.checked : input.value);
+      if (input.type === 'range') show();
+      applySettings();
+    });
+    row.append(label, input, value);
+    list.append(row);
+  }
+}
+
+// language pickers on the start card and in settings; switching redraws every bit of text
+function bindLanguage() {
+  for (const select of ui.langSelects) {
+    for (const [code, name] of Object.entries(LANGS)) select.append(new Option(name, code));
+    select.value = getLang();
+    select.addEventListener('change', () => setLang(select.value));
+  }
+  onLangChange((lang) => {
+    for (const select of ui.langSelects) select.value = lang;
+    translatePage();
+    game.relabel();
+    showScores(lastScores);
+    showDaily(lastDaily);
+    showPauseLabel();
+    renderBindings();
+    renderSettings();
+    applySettings();
+  });
+}
+
+function renderBindings() {
+  const list = ui.bindList;
+  list.textContent = '';
+  for (const action of ACTIONS) {
+    const row = document.createElement('div');
+    row.className = 'bind';
+    const name = document.createElement('span');
+    name.textContent = t(`action.${action}`);
+    row.append(name);
+    for (const device of ['keyboard', 'gamepad']) {
+      const btn = document.createElement('button');
+      btn.className = 'secondary';
+      btn.textContent = controls.bindings[device][action].map(i => inputLabel(device, i)).join(' / ') || '—';
+      btn.addEventListener('click', () => {
+        btn.textContent = t(device === 'gamepad' ? 'controls.pressButton' : 'controls.pressKey');
+        controls.startCapture(device, action, () => renderBindings());
+      });
+      row.append(btn);
+    }
+    list.append(row);
+  }
+  showKeyHint();
+}
+
+// the desktop HUD hint names whatever keys are bound right now
+function showKeyHint() {
+  const key = (action) => controls.keyHint(action);
+  ui.desktopHint.textContent = t('hud.desktopHint', {
+    move: controls.moveHint(), sprint: key('sprint'), sneak: key('sneak'),
+    light: key('light'), hide: key('hide'), pause: key('pause'),
+  });
+}
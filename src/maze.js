@@ -0,0 +1,303 @@
+// Seeded maze generation (no DOM; shared by the game and headless runs)
+//
+// Generators share one contract: (w, h, seed, options) -> { grid, seed } with
+// grid[y][x] 1 = wall / 0 = floor, a solid border and every floor cell reachable.
+// They are looked up by name in GENERATORS (see generate()).
+
+export function rng(seed) {
+  // mulberry32
+  let t = seed >>> 0;
+  const next = () => {
+    t += 0x6D2B79F5;
+    let x = t;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+  // rng(next.state()) continues the same stream (saved runs)
+  next.state = () => t;
+  return next;
+}
+
+// seeds are uint32; numeric text is used as-is, anything else is hashed (FNV-1a)
+// so "kids" or "2024-05-01" work as shareable seeds too
+export function parseSeed(text) {
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// loops: fraction of the area tried as extra openings (0 = a perfect maze, no cycles)
+export function makeMaze(w, h, seed = Date.now(), { loops = 0.02 } = {}) {
+  const R = rng(seed);
+  // 1 = wall, 0 = floor
+  const grid = Array.from({ length: h }, () => Array.from({ length: w }, () => 1));
+
+  // start at odd cell
+  const sx = 1;
+  const sy = 1;
+  grid[sy][sx] = 0;
+
+  const stack = [{ x: sx, y: sy }];
+  const dirs = [
+    { x: 0, y: -2 },
+    { x: 0, y: 2 },
+    { x: -2, y: 0 },
+    { x: 2, y: 0 },
+  ];
+
+  while (stack.length) {
+    const cur = stack[stack.length - 1];
+    const candidates = [];
+    for (const d of dirs) {
+      const nx = cur.x + d.x;
+      const ny = cur.y + d.y;
+      if (nx <= 0 || ny <= 0 || nx >= w - 1 || ny >= h - 1) continue;
+      if (grid[ny][nx] === 1) candidates.push({ nx, ny, wx: cur.x + d.x / 2, wy: cur.y + d.y / 2 });
+    }
+
+    if (candidates.length === 0) {
+      stack.pop();
+      continue;
+    }
+
+    const pick = candidates[Math.floor(R() * candidates.length)];
+    grid[pick.wy][pick.wx] = 0;
+    grid[pick.ny][pick.nx] = 0;
+    stack.push({ x: pick.nx, y: pick.ny });
+  }
+
+  // add some loops by knocking down random walls
+  for (let i = 0; i < (w * h) * loops; i++) {
+    const x = 1 + Math.floor(R() * (w - 2));
+    const y = 1 + Math.floor(R() * (h - 2));
+    if (grid[y][x] === 1) {
+      // ensure it connects two floors
+      const n = (grid[y - 1][x] === 0) + (grid[y + 1][x] === 0) + (grid[y][x - 1] === 0) + (grid[y][x + 1] === 0);
+      if (n >= 2) grid[y][x] = 0;
+    }
+  }
+
+  return { grid, seed };
+}
+
+// rooms-and-corridors: separate rectangular rooms joined by 1-wide L-shaped halls
+// rooms: how many to try for; extra: fraction of additional links (loops)
+export function makeRooms(w, h, seed = Date.now(), { rooms = Math.round((w * h) / 70), minSize = 3, maxSize = 7, extra = 0.2 } = {}) {
+  const R = rng(seed);
+  const grid = solid(w, h);
+
+  const placed = [];
+  for (let tries = 0; placed.length < rooms && tries < rooms * 30; tries++) {
+    const rw = minSize + Math.floor(R() * (maxSize - minSize + 1));
+    const rh = minSize + Math.floor(R() * (maxSize - minSize + 1));
+    if (rw > w - 2 || rh > h - 2) continue;
+    const x = 1 + Math.floor(R() * (w - rw - 1));
+    const y = 1 + Math.floor(R() * (h - rh - 1));
+    // keep at least one wall between rooms
+    if (placed.some(r => x <= r.x + r.w && x + rw >= r.x && y <= r.y + r.h && y + rh >= r.y)) continue;
+    placed.push({ x, y, w: rw, h: rh });
+    carveRect(grid, x, y, rw, rh);
+  }
+  if (!placed.length) return makeMaze(w, h, seed);
+
+  const centre = (r) => ({ x: r.x + Math.floor(r.w / 2), y: r.y + Math.floor(r.h / 2) });
+  // each room links to the closest one placed before it, so everything is connected
+  for (let i = 1; i < placed.length; i++) {
+    const a = centre(placed[i]);
+    let best = null;
+    for (let j = 0; j < i; j++) {
+      const b = centre(placed[j]);
+      const d = Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+      if (!best || d < best.d) best = { ...b, d };
+    }
+    carveCorridor(grid, a, best, R() < 0.5);
+  }
+  for (let i = 0; i < placed.length * extra; i++) {
+    const a = centre(placed[Math.floor(R() * placed.length)]);
+    const b = centre(placed[Math.floor(R() * placed.length)]);
+    carveCorridor(grid, a, b, R() < 0.5);
+  }
+
+  return { grid, seed };
+}
+
+// open office / hall: one huge room with a pillar grid and a few partition walls
+// that always leave a gap; pillars: chance per grid point, walls: partition count
+export function makeHalls(w, h, seed = Date.now(), { pillars = 0.55, spacing = 4, walls = Math.round((w * h) / 60) } = {}) {
+  const R = rng(seed);
+  const grid = solid(w, h);
+  carveRect(grid, 1, 1, w - 2, h - 2);
+
+  for (let y = spacing - 1; y < h - 2; y += spacing) {
+    for (let x = spacing - 1; x < w - 2; x += spacing) {
+      if (R() < pillars) grid[y][x] = 1;
+    }
+  }
+
+  for (let i = 0; i < walls; i++) {
+    const horizontal = R() < 0.5;
+    const len = 5 + Math.floor(R() * 10);
+    const gap = 1 + Math.floor(R() * (len - 3));
+    const x0 = 2 + Math.floor(R() * (w - 4));
+    const y0 = 2 + Math.floor(R() * (h - 4));
+    for (let k = 0; k < len; k++) {
+      if (k === gap || k === gap + 1) continue; // doorway
+      const x = horizontal ? x0 + k : x0;
+      const y = horizontal ? y0 : y0 + k;
+      if (x >= w - 1 || y >= h - 1) break;
+      grid[y][x] = 1;
+    }
+  }
+
+  fillUnreachable(grid);
+  return { grid, seed };
+}
+
+export const GENERATORS = {
+  maze: makeMaze,
+  rooms: makeRooms,
+  halls: makeHalls,
+};
+
+// add a layout (same contract as makeMaze); it becomes selectable by name
+export function registerGenerator(name, fn) {
+  GENERATORS[name] = fn;
+}
+
+export function generate(name, w, h, seed, options) {
+  const gen = GENERATORS[name] || GENERATORS.maze;
+  return gen(w, h, seed, options);
+}
+
+export function findRandomFloor(grid, R) {
+  const h = grid.length;
+  const w = grid[0].length;
+  for (let tries = 0; tries < 10000; tries++) {
+    const x = 1 + Math.floor(R() * (w - 2));
+    const y = 1 + Math.floor(R() * (h - 2));
+    if (grid[y][x] === 0) return { x, y };
+  }
+  // nearly solid grid: take the first floor cell rather than guess
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) if (grid[y][x] === 0) return { x, y };
+  }
+  return { x: 1, y: 1 };
+}
+
+const DIRS4 = [
+  { x: 1, y: 0 },
+  { x: -1, y: 0 },
+  { x: 0, y: 1 },
+  { x: 0, y: -1 },
+];
+
+// BFS step counts from `from` to every floor cell (-1 = unreachable)
+export function floodDistances(grid, from) {
+  const h = grid.length;
+  const w = grid[0].length;
+  const d = new Int32Array(w * h).fill(-1);
+  if (grid[from.y]?.[from.x] !== 0) return d;
+
+  const queue = [from.y * w + from.x];
+  d[queue[0]] = 0;
+  for (let qi = 0; qi < queue.length; qi++) {
+    const i = queue[qi];
+    const x = i % w;
+    const y = (i - x) / w;
+    for (const dir of DIRS4) {
+      const nx = x + dir.x;
+      const ny = y + dir.y;
+      if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+      const ni = ny * w + nx;
+      if (d[ni] !== -1 || grid[ny][nx] !== 0) continue;
+      d[ni] = d[i] + 1;
+      queue.push(ni);
+    }
+  }
+  return d;
+}
+
+// shortest 4-neighbour path over floor cells; returns the cells after `from`
+// up to and including `to`, or null when `to` can't be reached
+export function findPath(grid, from, to) {
+  if (grid[to.y]?.[to.x] !== 0) return null;
+  const w = grid[0].length;
+  // search backwards so walking the distance field downhill yields the path in order
+  const d = floodDistances(grid, to);
+  let i = from.y * w + from.x;
+  if (d[i] === -1) return null;
+
+  const path = [];
+  let x = from.x;
+  let y = from.y;
+  while (d[i] > 0) {
+    for (const dir of DIRS4) {
+      const ni = (y + dir.y) * w + (x + dir.x);
+      if (grid[y + dir.y]?.[x + dir.x] === 0 && d[ni] === d[i] - 1) {
+        x += dir.x;
+        y += dir.y;
+        i = ni;
+        break;
+      }
+    }
+    path.push({ x, y });
+  }
+  return path;
+}
+
+function solid(w, h) {
+  return Array.from({ length: h }, () => Array.from({ length: w }, () => 1));
+}
+
+function carveRect(grid, x, y, w, h) {
+  for (let yy = y; yy < y + h; yy++) {
+    for (let xx = x; xx < x + w; xx++) grid[yy][xx] = 0;
+  }
+}
+
+function carveCorridor(grid, a, b, xFirst) {
+  const corner = xFirst ? { x: b.x, y: a.y } : { x: a.x, y: b.y };
+  for (const [p, q] of [[a, corner], [corner, b]]) {
+    const dx = Math.sign(q.x - p.x);
+    const dy = Math.sign(q.y - p.y);
+    let x = p.x;
+    let y = p.y;
+    grid[y][x] = 0;
+    while (x !== q.x || y !== q.y) {
+      x += dx;
+      y += dy;
+      grid[y][x] = 0;
+    }
+  }
+}
+
+// keep only the largest connected open area; smaller pockets become wall
+function fillUnreachable(grid) {
+  const w = grid[0].length;
+  const region = new Int32Array(w * grid.length).fill(-1);
+  let best = null;
+  for (let i = 0; i < region.length; i++) {
+    const x = i % w;
+    const y = (i - x) / w;
+    if (grid[y][x] !== 0 || region[i] !== -1) continue;
+    const d = floodDistances(grid, { x, y });
+    let size = 0;
+    for (let j = 0; j < d.length; j++) {
+      if (d[j] === -1) continue;
+      region[j] = i;
+      size++;
+    }
+    if (!best || size > best.size) best = { id: i, size };
+  }
+  if (!best) return;
+  for (let i = 0; i < region.length; i++) {
+    if (region[i] !== -1 && region[i] !== best.id) grid[Math.floor(i / w)][i % w] = 1;
+  }
+}
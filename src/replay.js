@@ -0,0 +1,90 @@
+// Input recording / playback for deterministic replays (seed + per-tick inputs)
+
+// Per-tick input log. Only changes are stored (move + held flags) or non-zero
+// ticks (look), so a whole run is a seed plus a few small arrays.
+
+// bumped whenever the same seed + inputs would play out differently (old logs would desync):
+// v1 covered both the mapW / mapH logs and the difficulty-preset ones (presets, extra enemies,
+// noise, stamina all changed the run without a bump), so every v1 file is rejected;
+// v2 BFS item placement, v3 locked doors, v4 the stick deadzone moving out of the Sim,
+// v5 footsteps following actual movement instead of the stick, v6 every door placed (loops walled up);
+// since v6 logs also leave out the pause points (nothing ever played them back)
+export const REPLAY_VERSION = 6;
+
+// held-button flags packed into moves[i][3]
+const FLAGS = { sneak: 1, sprint: 2, light: 4, hide: 8 };
+
+function packFlags(input) {
+  let f = 0;
+  for (const [name, bit] of Object.entries(FLAGS)) if (input[name]) f |= bit;
+  return f;
+}
+export class InputRecorder {
+  // layout is only stored when the run overrode the per-level generators
+  constructor({ seed, difficulty, layout = null }) {
+    this.data = { v: REPLAY_VERSION, seed, difficulty, moves: [], looks: [], end: null };
+    if (layout) this.data.layout = layout;
+    this.mx = 0;
+    this.my = 0;
+    this.flags = 0;
+  }
+
+  // carries on a log saved mid-run (save & resume), so the finished run still replays from its seed
+  static resume(data) {
+    const r = new InputRecorder(data);
+    r.data = data;
+    const last = data.moves[data.moves.length - 1];
+    if (last) [, r.mx, r.my, r.flags = 0] = last;
+    return r;
+  }
+
+  push(tick, input) {
+    const { mx, my, look } = input;
+    const flags = packFlags(input);
+    if (mx !== this.mx || my !== this.my || flags !== this.flags) {
+      this.data.moves.push([tick, mx, my, flags]);
+      this.mx = mx;
+      this.my = my;
+      this.flags = flags;
+    }
+    if (look !== 0) this.data.looks.push([tick, look]);
+  }
+
+  finish(tick, result) {
+    this.data.end = { tick, result };
+    return this.data;
+  }
+}
+
+export class InputPlayer {
+  constructor(data) {
+    this.data = data;
+    this.mi = 0;
+    this.li = 0;
+    this.mx = 0;
+    this.my = 0;
+    this.flags = 0;
+  }
+
+  at(tick) {
+    const { moves, looks } = this.data;
+    while (this.mi < moves.length && moves[this.mi][0] <= tick) {
+      [, this.mx, this.my, this.flags = 0] = moves[this.mi++];
+    }
+    let look = 0;
+    if (this.li < looks.length && looks[this.li][0] === tick) look = looks[this.li++][1];
+    const input = { mx: this.mx, my: this.my, look };
+    for (const [name, bit] of Object.entries(FLAGS)) input[name] = (this.flags & bit) !== 0;
+    return input;
+  }
+
+  done(tick) {
+    // end.tick is the tick the run ended on, which still has to be played
+    return this.data.end != null && tick > this.data.end.tick;
+  }
+}
+
+export function isReplay(data) {
+  return data?.v === REPLAY_VERSION && Number.isInteger(data.seed) && typeof data.difficulty === 'string' &&
+    Array.isArray(data.moves) && Array.isArray(data.looks) && data.end != null;
+}
@@ -1,4 +1,26 @@
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+import { Sim, STEP, GAITS, LEVELS, clamp, wrapAngle } from './sim.js';
+import { InputRecorder, InputPlayer, REPLAY_VERSION } from './replay.js';
+import { makeTextures, TEX_SIZE, LOCK_RGB } from './textures.js';
+import { Lights } from './lights.js';
+import { t, levelName } from './i18n.js';
+import { formatTime } from './scores.js';
+
+export { parseSeed } from './maze.js';
+export { isReplay, REPLAY_VERSION } from './replay.js';
+export { isSnapshot } from './sim.js';
+
+const MAX_FRAME = 0.25; // drop time after long stalls instead of fast-forwarding
+const FOG_DIST = 10; // tiles until walls / floor fade to black
+const SEEN_RANGE = FOG_DIST; // nothing further counts as seen
+const FLOOR_RES = 320; // floor / ceiling are cast at about this many columns, then scaled up
+const LOOK_SPEED = 0.0045; // rad per swipe / mouse pixel at sensitivity 1
+
+// flashlight beam: cone radius (half screen widths), reach (tiles), brightness at the centre,
+// and how far the room lights drop around it (eyes on the beam)
+const FLASH = { cone: 0.7, reach: 9, strength: 0.95, dim: 0.55 };
+
+// billboard half-width as a fraction of its size (aura / wisps included for the enemy)
+const SPRITE_HALF_W = { enemy: 0.85, exit: 0.32, key: 0.26, battery: 0.14, locker: 0.3, desk: 0.5 };
 
 function fitCanvasToCSS(canvas, maxDpr = 2) {
   const rect = canvas.getBoundingClientRect();
@@ -12,126 +34,88 @@ function fitCanvasToCSS(canvas, maxDpr = 2) {
   return { w, h, dpr };
 }
 
-function rng(seed) {
-  // mulberry32
-  let t = seed >>> 0;
-  return () => {
-    t += 0x6D2B79F5;
-    let x = t;
-    x = Math.imul(x ^ (x >>> 15), x | 1);
-    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function makeMaze(w, h, seed = Date.now()) {
-  const R = rng(seed);
-  // 1 = wall, 0 = floor
-  const grid = Array.from({ length: h }, () => Array.from({ length: w }, () => 1));
-
-  // start at odd cell
-  const sx = 1;
-  const sy = 1;
-  grid[sy][sx] = 0;
-
-  const stack = [{ x: sx, y: sy }];
-  const dirs = [
-    { x: 0, y: -2 },
-    { x: 0, y: 2 },
-    { x: -2, y: 0 },
-    { x: 2, y: 0 },
-  ];
-
-  while (stack.length) {
-    const cur = stack[stack.length - 1];
-    const candidates = [];
-    for (const d of dirs) {
-      const nx = cur.x + d.x;
-      const ny = cur.y + d.y;
-      if (nx <= 0 || ny <= 0 || nx >= w - 1 || ny >= h - 1) continue;
-      if (grid[ny][nx] === 1) candidates.push({ nx, ny, wx: cur.x + d.x / 2, wy: cur.y + d.y / 2 });
-    }
-
-    if (candidates.length === 0) {
-      stack.pop();
-      continue;
-    }
-
-    const pick = candidates[Math.floor(R() * candidates.length)];
-    grid[pick.wy][pick.wx] = 0;
-    grid[pick.ny][pick.nx] = 0;
-    stack.push({ x: pick.nx, y: pick.ny });
-  }
-
-  // add some loops by knocking down random walls
-  for (let i = 0; i < (w * h) * 0.02; i++) {
-    const x = 1 + Math.floor(R() * (w - 2));
-    const y = 1 + Math.floor(R() * (h - 2));
-    if (grid[y][x] === 1) {
-      // ensure it connects two floors
-      const n = (grid[y - 1][x] === 0) + (grid[y + 1][x] === 0) + (grid[y][x - 1] === 0) + (grid[y][x + 1] === 0);
-      if (n >= 2) grid[y][x] = 0;
-    }
-  }
-
-  return { grid, seed };
-}
-
-function findRandomFloor(grid, R) {
-  const h = grid.length;
-  const w = grid[0].length;
-  for (let tries = 0; tries < 10000; tries++) {
-    const x = 1 + Math.floor(R() * (w - 2));
-    const y = 1 + Math.floor(R() * (h - 2));
-    if (grid[y][x] === 0) return { x, y };
-  }
-  return { x: 1, y: 1 };
-}
-
-function dist(a, b) {
-  return Math.hypot(a.x - b.x, a.y - b.y);
-}
-
+// Browser shell around the Sim: canvas renderer, HUD, audio, input and the
+// fixed-timestep clock (plus recording / replay of the per-tick inputs).
 export class Game {
-  constructor({ canvas, ui, audio }) {
+  constructor({ canvas, ui, audio, input }) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.ui = ui;
     this.audio = audio;
+    this.input = input;
 
     this.running = false;
     this.paused = false;
 
     this.world = { w: 1, h: 1, dpr: 1 };
 
-    this.mapW = 31; // odd
-    this.mapH = 31; // odd
+    this.sim = new Sim();
+    this.sim.on('keys', (n) => { this.ui.keys.textContent = String(n); });
+    this.sim.on('status', () => this.showStatus());
+    this.sim.on('inventory', (colors) => this.showInventory(colors));
+    this.sim.on('door', ({ x, y }) => {
+      this.audio?.door();
+      this.lights?.relight(this.sim.grid, x, y);
+    });
+    this.sim.on('hide', () => this.audio?.blipFoot(0.5));
+    this.sim.on('level', () => this.enterLevel());
+    this.sim.on('noise', ({ gait }) => this.audio?.blipFoot(GAITS[gait].volume));
+    this.sim.on('end', (result) => {
+      if (result === 'win') this.win();
+      else this.gameOver();
+    });
 
-    this.seed = 0;
-    this.R = rng(1);
-
-    this.grid = [];
-
-    this.player = { x: 1.5, y: 1.5, a: 0, vx: 0, vy: 0, speed: 3.4 };
     this.move = { x: 0, y: 0 };
-
-    this.keys = 0;
-    this.keyPos = [];
-    this.exitPos = null;
-
-    this.enemy = { x: 2.5, y: 2.5, state: 'wander', a: 0, speed: 1.7, lastSeen: 0 };
+    this.lookRate = 0; // rad/s (gamepad right stick)
+    this.lookAcc = 0; // radians from swipes / mouse, consumed by the next tick
+    this.sneak = false;
+    this.sprint = false;
+    this.light = false; // flashlight switch (the Sim decides if it's actually lit)
+    this.hidePress = false; // one-tick toggle for the next input
 
     // narrower FOV to reduce distortion and feel more claustrophobic
     this.fov = Math.PI / 4.2;
 
+    // player settings (settings.js, applied by main.js)
+    this.sensitivity = 1;
+    this.invertLook = false;
+    this.deadzone = 0.06; // stick values below this count as 0 (applied before recording)
+    this.maxDpr = 2; // render scale
+
     this.lastT = 0;
+    this.acc = 0;
+
+    this.recorder = null;
+    this.replay = null;
+    this.lastRecording = null;
+    this.ending = null; // { result, title, desc } i18n keys + vars for the end card
+
+    // auto-map: cells the rays have actually reached (fog of war)
+    this.seen = new Uint8Array(0);
+    this.showMinimap = true;
+
+    // per-ray perpendicular wall distance from the last wall pass (sprite occlusion)
+    this.zbuf = new Float32Array(0);
+
+    this.tex = makeTextures();
+    this.palette = 'yellow';
+    this.banner = null; // { level, until } level name shown on entry
+    this.floorBuf = null; // { canvas, ctx, img, px } low-res floor / ceiling target
+    this.lights = null; // ceiling panels for the current run
 
     this.resize();
     this.loop = this.loop.bind(this);
+    // the loop always runs so gamepads are polled on the overlay / while paused too
+    requestAnimationFrame(this.loop);
+  }
+
+  get seed() {
+    return this.sim.seed;
   }
 
   resize() {
-    this.world = fitCanvasToCSS(this.canvas);
+    this.world = fitCanvasToCSS(this.canvas, this.maxDpr);
+    if (this.running && this.paused) this.drawPauseMap();
   }
 
   setMove(vx, vy) {
@@ -141,270 +125,245 @@ export class Game {
 
   addLook(dx) {
     if (!this.running || this.paused) return;
-    this.player.a += dx * 0.0045;
+    this.lookAcc += dx * LOOK_SPEED * this.lookScale;
   }
 
-  startNew() {
-    this.running = true;
-    this.paused = false;
-
-    const { grid, seed } = makeMaze(this.mapW, this.mapH, Date.now());
-    this.grid = grid;
-    this.seed = seed;
-    this.R = rng(seed);
-
-    // place player
-    const p = findRandomFloor(this.grid, this.R);
-    this.player.x = p.x + 0.5;
-    this.player.y = p.y + 0.5;
-    this.player.a = this.R() * Math.PI * 2;
-
-    // place keys far enough
-    this.keys = 0;
-    this.keyPos = [];
-    while (this.keyPos.length < 3) {
-      const k = findRandomFloor(this.grid, this.R);
-      if (dist({ x: k.x + 0.5, y: k.y + 0.5 }, this.player) < 8) continue;
-      if (this.keyPos.some(o => o.x === k.x && o.y === k.y)) continue;
-      this.keyPos.push(k);
-    }
-
-    // place exit far enough
-    while (true) {
-      const e = findRandomFloor(this.grid, this.R);
-      if (dist({ x: e.x + 0.5, y: e.y + 0.5 }, this.player) < 10) continue;
-      if (this.keyPos.some(o => o.x === e.x && o.y === e.y)) continue;
-      this.exitPos = e;
-      break;
-    }
-
-    // place enemy: not too far so it shows up during short playtests
-    // (aim: 6〜10 tiles away)
-    let en = null;
-    for (let tries = 0; tries < 8000; tries++) {
-      const cand = findRandomFloor(this.grid, this.R);
-      const cpos = { x: cand.x + 0.5, y: cand.y + 0.5 };
-      const d = dist(cpos, this.player);
-      if (d < 6 || d > 10) continue;
-      en = cand;
-      break;
-    }
-    if (!en) en = findRandomFloor(this.grid, this.R);
-
-    this.enemy.x = en.x + 0.5;
-    this.enemy.y = en.y + 0.5;
-    this.enemy.state = 'wander';
-    this.enemy.a = this.R() * Math.PI * 2;
-    this.enemy.lastSeen = 0;
-
-    this.ui.keys.textContent = String(this.keys);
-    this.ui.status.textContent = 'Find keys';
-
-    this.ui.btnStart && (this.ui.btnStart.style.display = 'none');
-    this.ui.btnRestart && (this.ui.btnRestart.style.display = 'none');
-
-    this.lastT = performance.now();
-    requestAnimationFrame(this.loop);
+  get lookScale() {
+    return this.invertLook ? -this.sensitivity : this.sensitivity;
   }
 
-  togglePause() {
-    this.paused = !this.paused;
-    if (!this.paused) {
-      this.lastT = performance.now();
-      requestAnimationFrame(this.loop);
-    }
+  setLookRate(rate) {
+    this.lookRate = rate;
   }
 
-  win() {
-    this.running = false;
-    this.ui.title.textContent = 'Clear!';
-    this.ui.desc.textContent = `You escaped. (seed: ${this.seed})`;
-    this.ui.btnRestart.style.display = 'inline-block';
-    this.ui.overlay.style.display = 'flex';
+  setSneak(on) {
+    this.sneak = on;
   }
 
-  gameOver() {
-    this.running = false;
-    this.ui.title.textContent = 'Game Over';
-    this.ui.desc.textContent = `Caught... (seed: ${this.seed})`;
-    this.ui.btnRestart.style.display = 'inline-block';
-    this.ui.overlay.style.display = 'flex';
+  setSprint(on) {
+    this.sprint = on;
   }
 
-  isWall(x, y) {
-    const xi = Math.floor(x);
-    const yi = Math.floor(y);
-    if (yi < 0 || yi >= this.grid.length) return true;
-    if (xi < 0 || xi >= this.grid[0].length) return true;
-    return this.grid[yi][xi] === 1;
+  toggleLight() {
+    if (!this.running || this.paused) return;
+    this.light = !this.light;
   }
 
-  canStand(nx, ny) {
-    // slightly smaller collision radius to reduce snagging on corners
-    const r = 0.11;
-    return (!this.isWall(nx + r, ny) && !this.isWall(nx - r, ny) && !this.isWall(nx, ny + r) && !this.isWall(nx, ny - r));
+  pressHide() {
+    if (!this.running || this.paused) return;
+    this.hidePress = true;
   }
 
-  cornerNudge(actor, dx, dy) {
-    // If we're moving diagonally into a corner, gently "nudge" along the open axis.
-    // This reduces corner-sticking in 1-tile corridors.
-    const wantX = actor.x + dx;
-    const wantY = actor.y + dy;
-    if (this.canStand(wantX, wantY)) return { dx, dy };
+  startNew(seed = Date.now(), { difficulty = this.sim.difficulty, layout = this.sim.layout, replay = null } = {}) {
+    this.running = true;
+    this.paused = false;
+
+    this.sim.setDifficulty(replay ? (replay.difficulty ?? 'normal') : difficulty);
+    this.sim.setLayout(replay ? replay.layout : layout);
+
+    this.acc = 0;
+    this.lookAcc = 0;
+    this.light = false;
+    this.hidePress = false;
+    this.replay = replay ? new InputPlayer(replay) : null;
 
-    // try slide X only
-    if (this.canStand(wantX, actor.y)) return { dx, dy: 0 };
-    // try slide Y only
-    if (this.canStand(actor.x, wantY)) return { dx: 0, dy };
+    this.sim.start(seed);
+    this.recorder = replay ? null : new InputRecorder({ seed: this.sim.seed, difficulty: this.sim.difficulty, layout: this.sim.layout });
 
-    // try small nudges
-    const n = 0.06;
-    if (Math.abs(dx) > 1e-6 && this.canStand(actor.x, actor.y + Math.sign(dy) * n)) return { dx, dy: Math.sign(dy) * n };
-    if (Math.abs(dy) > 1e-6 && this.canStand(actor.x + Math.sign(dx) * n, actor.y)) return { dx: Math.sign(dx) * n, dy };
+    this.ui.btnStart && (this.ui.btnStart.style.display = 'none');
+    this.setEndButtons('none');
+  }
 
-    return { dx: 0, dy: 0 };
+  // the run in progress as JSON-able data (null on the overlay or during a replay):
+  // the Sim snapshot plus what only the shell knows (auto-map, light switch, input log)
+  saveState() {
+    if (!this.running || this.replay) return null;
+    return {
+      sim: this.sim.snapshot(),
+      seen: Array.from(this.seen).join(''),
+      light: this.light,
+      recording: this.recorder?.data ?? null,
+    };
   }
 
-  tryMove(actor, nx, ny) {
-    // axis-separated move so you slide along walls instead of getting stuck.
-    // also sub-step large moves to avoid tunneling into corners.
-    let dx = nx - actor.x;
-    let dy = ny - actor.y;
+  // picks up a saveState() (after a reload); the restored Sim re-enters its level through the
+  // 'level' event, so only the saved auto-map has to be put back afterwards
+  continueRun({ sim, seen, light = false, recording = null }) {
+    this.running = true;
+    this.paused = false;
 
-    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / 0.08));
-    for (let i = 0; i < steps; i++) {
-      const stepDx = dx / steps;
-      const stepDy = dy / steps;
+    this.acc = 0;
+    this.lookAcc = 0;
+    this.light = light;
+    this.hidePress = false;
+    this.replay = null;
 
-      const nudged = this.cornerNudge(actor, stepDx, stepDy);
-      const tx = actor.x + nudged.dx;
-      const ty = actor.y + nudged.dy;
+    this.sim.restore(sim);
+    if (typeof seen === 'string' && seen.length === this.seen.length) this.seen = Uint8Array.from(seen, Number);
+    // a log from an older version couldn't be replayed anyway
+    this.recorder = recording?.v === REPLAY_VERSION ? InputRecorder.resume(recording) : null;
 
-      if (this.canStand(tx, actor.y)) actor.x = tx;
-      if (this.canStand(actor.x, ty)) actor.y = ty;
-    }
+    this.ui.btnStart && (this.ui.btnStart.style.display = 'none');
+    this.setEndButtons('none');
   }
 
-  pickup() {
-    const px = Math.floor(this.player.x);
-    const py = Math.floor(this.player.y);
-
-    // keys
-    for (let i = 0; i < this.keyPos.length; i++) {
-      const k = this.keyPos[i];
-      if (k.x === px && k.y === py) {
-        this.keyPos.splice(i, 1);
-        this.keys += 1;
-        this.ui.keys.textContent = String(this.keys);
-        this.ui.status.textContent = this.keys >= 3 ? 'Go to EXIT' : 'Find keys';
-        break;
-      }
+  // the Sim built a new level (also on start): fresh auto-map, lights, palette and HUD
+  enterLevel() {
+    const sim = this.sim;
+    const info = sim.levelInfo;
+    this.seen = new Uint8Array(sim.mapW * sim.mapH);
+    this.lights = new Lights(sim.grid, sim.levelSeed, sim.doors);
+    if (info.palette !== this.palette) {
+      this.tex = makeTextures(info.palette);
+      this.palette = info.palette;
     }
+    this.banner = { level: sim.level, until: sim.time + 2.5 };
+    this.showLevel();
+    this.ui.keysNeed && (this.ui.keysNeed.textContent = String(sim.keysNeeded));
+  }
 
-    // exit
-    if (this.exitPos && this.exitPos.x === px && this.exitPos.y === py) {
-      if (this.keys >= 3) this.win();
-      else this.ui.status.textContent = 'Need 3 keys';
-    }
+  // status code from the Sim as HUD text (i18n 'status.*')
+  showStatus() {
+    const sim = this.sim;
+    if (!sim.status) return;
+    const color = sim.lockedColor ? t(`color.${sim.lockedColor}`) : '';
+    this.ui.status.textContent = t(`status.${sim.status}`, { n: sim.keysNeeded, color });
   }
 
-  canSeePlayer(maxDist = 12.0) {
-    // line of sight ray
-    const dx = this.player.x - this.enemy.x;
-    const dy = this.player.y - this.enemy.y;
-    const d = Math.hypot(dx, dy);
-    if (d > maxDist) return false;
+  showLevel() {
+    this.ui.level && (this.ui.level.textContent = levelName(this.sim.level));
+  }
 
-    const steps = Math.ceil(d / 0.15);
-    for (let i = 1; i < steps; i++) {
-      const t = i / steps;
-      const x = this.enemy.x + dx * t;
-      const y = this.enemy.y + dy * t;
-      if (this.isWall(x, y)) return false;
-    }
-    return true;
+  // language switched: redo the text this class writes (the page itself is i18n.translatePage)
+  relabel() {
+    this.showLevel();
+    this.showStatus();
+    this.showInventory(this.sim.inventory);
+    if (!this.running && this.ending) this.showEnding();
   }
 
-  stepEnemy(dt, now) {
-    // state machine
-    const sees = this.canSeePlayer();
-    if (sees) {
-      this.enemy.state = 'chase';
-      this.enemy.lastSeen = now;
-      this.ui.status.textContent = 'RUN!';
-    } else {
-      if (this.enemy.state === 'chase' && (now - this.enemy.lastSeen) > 1.8) {
-        this.enemy.state = 'wander';
-        this.ui.status.textContent = this.keys >= 3 ? 'Go to EXIT' : 'Find keys';
-      }
+  // door keys held, as coloured chips (hidden while empty)
+  showInventory(colors) {
+    const el = this.ui.inventory;
+    if (!el) return;
+    el.textContent = '';
+    el.style.display = colors.length ? '' : 'none';
+    for (const c of colors) {
+      const chip = document.createElement('span');
+      chip.className = 'chip';
+      chip.title = t('key.door', { color: t(`color.${c}`) });
+      chip.style.background = lockColor(c);
+      el.append(chip);
     }
+  }
 
-    let targetA = this.enemy.a;
-    if (this.enemy.state === 'chase') {
-      targetA = Math.atan2(this.player.y - this.enemy.y, this.player.x - this.enemy.x);
-    } else {
-      // wander: sometimes turn
-      if (this.R() < 0.02) {
-        targetA += (this.R() - 0.5) * 1.3;
-      }
-      // avoid walls by probing
-      const fx = this.enemy.x + Math.cos(targetA) * 0.35;
-      const fy = this.enemy.y + Math.sin(targetA) * 0.35;
-      if (this.isWall(fx, fy)) {
-        targetA += (this.R() < 0.5 ? 1 : -1) * (0.8 + this.R());
-      }
-    }
+  // plays a recorded run back tick-for-tick from its seed
+  startReplay(data) {
+    this.startNew(data.seed, { replay: data });
+  }
 
-    // smooth rotate
-    const da = wrapAngle(targetA - this.enemy.a);
-    this.enemy.a += da * clamp(dt * 4.0, 0, 1);
+  togglePause() {
+    this.paused = !this.paused;
+    // the loop stops drawing while paused, so put the full map up once
+    if (this.paused) this.drawPauseMap();
+  }
 
-    const spd = (this.enemy.state === 'chase') ? 3.2 : this.enemy.speed;
-    const nx = this.enemy.x + Math.cos(this.enemy.a) * spd * dt;
-    const ny = this.enemy.y + Math.sin(this.enemy.a) * spd * dt;
-    this.tryMove(this.enemy, nx, ny);
+  toggleMinimap() {
+    this.showMinimap = !this.showMinimap;
+    if (this.running && this.paused) this.drawPauseMap();
+  }
 
-    // collision with player (a bit larger hitbox to feel stronger)
-    const d = Math.hypot(this.player.x - this.enemy.x, this.player.y - this.enemy.y);
-    if (d < 0.52) this.gameOver();
+  win() {
+    this.endRun('win', 'end.win', 'end.winDesc', { levels: LEVELS.length, seed: this.seed });
   }
 
-  step(dt, now) {
-    // movement vector in camera space
-    const ax = this.move.x;
-    const ay = this.move.y;
+  gameOver() {
+    this.endRun('caught', 'end.caught', 'end.caughtDesc', { level: this.sim.level, seed: this.seed });
+  }
 
-    // deadzone（小さめにして前進しやすく）
-    const dz = 0.06;
-    const mx = Math.abs(ax) < dz ? 0 : ax;
-    const my = Math.abs(ay) < dz ? 0 : ay;
+  // title / desc are i18n keys, so the card can be redrawn in another language
+  // (vars.level is a level index, named in the current language when shown)
+  endRun(result, title, desc, vars = {}) {
+    this.running = false;
+    if (this.recorder) this.lastRecording = this.recorder.finish(this.sim.tick, result);
+    this.recorder = null;
 
-    const ca = Math.cos(this.player.a);
-    const sa = Math.sin(this.player.a);
+    this.ending = { title, desc, vars, replay: !!this.replay };
+    this.showEnding();
+    this.setEndButtons('inline-block');
+    this.ui.overlay.style.display = 'flex';
+    // give the cursor back so the overlay buttons are clickable
+    if (document.pointerLockElement) document.exitPointerLock();
+  }
 
-    // joystick y is down; forward is -my
-    const forward = -my;
-    const strafe = mx;
+  showEnding() {
+    const { title, desc, vars, replay } = this.ending;
+    this.ui.title.textContent = replay ? t('end.replay', { title: t(title) }) : t(title);
+    this.ui.desc.textContent = t(desc, 'level' in vars ? { ...vars, level: levelName(vars.level) } : vars);
+    this.showStats();
+  }
 
-    // stickの効きを少し強める（小さい入力でも進む）
-    const boost = (v) => Math.sign(v) * Math.min(1, Math.abs(v) ** 0.75);
-    const vx = (ca * boost(forward) - sa * boost(strafe)) * this.player.speed;
-    const vy = (sa * boost(forward) + ca * boost(strafe)) * this.player.speed;
+  // the run's numbers under the end card text
+  showStats() {
+    const el = this.ui.stats;
+    if (!el) return;
+    const { distance, spotted, keyTimes, closest } = this.sim.stats;
+    const keys = LEVELS.map((lv, i) => {
+      const times = keyTimes.filter(k => k.level === i).map(k => formatTime(k.time));
+      return times.length ? `${levelName(i)}: ${times.join(' ')}` : '';
+    }).filter(Boolean).join(' / ');
+    const rows = [
+      ['stats.time', formatTime(this.sim.time)],
+      ['stats.distance', t('stats.tiles', { n: Math.round(distance) })],
+      ['stats.spotted', String(spotted)],
+      ['stats.keys', keys || '—'],
+      ['stats.closest', Number.isFinite(closest) ? t('stats.tiles', { n: closest.toFixed(1) }) : '—'],
+    ];
+    el.textContent = '';
+    for (const [label, value] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = t(label);
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      el.append(dt, dd);
+    }
+    el.hidden = false;
+  }
 
-    const nx = this.player.x + vx * dt;
-    const ny = this.player.y + vy * dt;
-    this.tryMove(this.player, nx, ny);
+  setEndButtons(display) {
+    for (const name of ['btnRestart', 'btnCopyLink', 'btnReplay', 'btnSaveReplay']) {
+      this.ui[name] && (this.ui[name].style.display = display);
+    }
+  }
 
-    this.pickup();
-    if (!this.running) return;
+  // one fixed-rate tick: input comes from the live controls or the replay log
+  tickOnce() {
+    const tick = this.sim.tick;
+    let input;
+    if (this.replay) {
+      if (this.replay.done(tick)) {
+        this.endRun('ended', 'end.finished', 'end.finishedDesc', { seed: this.seed });
+        return;
+      }
+      input = this.replay.at(tick);
+    } else {
+      const dz = (v) => (Math.abs(v) < this.deadzone ? 0 : v);
+      input = {
+        mx: dz(this.move.x), my: dz(this.move.y), look: this.lookAcc + this.lookRate * this.lookScale * STEP,
+        sneak: this.sneak, sprint: this.sprint, light: this.light, hide: this.hidePress,
+      };
+      this.lookAcc = 0;
+      this.hidePress = false;
+      this.recorder.push(tick, input);
+    }
 
-    this.stepEnemy(dt, now);
+    this.sim.advance(input);
   }
 
   raycast(angle) {
     // DDA raycast
-    const px = this.player.x;
-    const py = this.player.y;
+    const px = this.sim.player.x;
+    const py = this.sim.player.y;
     const dx = Math.cos(angle);
     const dy = Math.sin(angle);
 
@@ -426,6 +385,9 @@ export class Game {
     let hit = 0;
     let side = 0;
 
+    const gw = this.sim.grid[0].length;
+    this.seen[mapY * gw + mapX] = 1;
+
     for (let i = 0; i < 128; i++) {
       if (sideDistX < sideDistY) {
         sideDistX += deltaDistX;
@@ -437,8 +399,11 @@ export class Game {
         side = 1;
       }
 
-      if (mapY < 0 || mapY >= this.grid.length || mapX < 0 || mapX >= this.grid[0].length) { hit = 1; break; }
-      if (this.grid[mapY][mapX] === 1) { hit = 1; break; }
+      if (mapY < 0 || mapY >= this.sim.grid.length || mapX < 0 || mapX >= gw) { hit = 1; break; }
+      // every cell the ray enters within view range goes on the auto-map (walls too)
+      const enter = side === 0 ? sideDistX - deltaDistX : sideDistY - deltaDistY;
+      if (enter < SEEN_RANGE) this.seen[mapY * gw + mapX] = 1;
+      if (this.sim.grid[mapY][mapX] === 1) { hit = 1; break; }
     }
 
     // distance to wall
@@ -446,63 +411,108 @@ export class Game {
     if (side === 0) perpWallDist = (sideDistX - deltaDistX);
     else perpWallDist = (sideDistY - deltaDistY);
 
-    return { dist: perpWallDist, side, mapX, mapY };
+    // where along the wall face the ray hit (0..1), for texturing
+    let wallX = side === 0 ? py + perpWallDist * dy : px + perpWallDist * dx;
+    wallX -= Math.floor(wallX);
+
+    return { dist: perpWallDist, side, mapX, mapY, wallX, dx, dy };
   }
 
   draw() {
     const ctx = this.ctx;
     const { w, h, dpr } = this.world;
 
-    // ceiling + floor (backrooms yellow-ish)
-    ctx.clearRect(0, 0, w, h);
-    ctx.fillStyle = '#1a2236';
-    ctx.fillRect(0, 0, w, h * 0.5);
-    ctx.fillStyle = '#0b1020';
-    ctx.fillRect(0, h * 0.5, w, h * 0.5);
+    // flashlight: 0 = off, fades out over the last tenth of the battery
+    const pl = this.sim.player;
+    this.flashPower = pl.light ? Math.min(1, pl.battery / 0.1) : 0;
+    this.roomK = pl.light ? FLASH.dim : 1;
+
+    // carpet floor + tiled ceiling (perspective cast)
+    this.drawFloorCeiling();
 
     const numRays = Math.floor(w * 0.75); // smoother / less distortion
     const halfH = h * 0.5;
+    if (this.zbuf.length !== numRays) this.zbuf = new Float32Array(numRays);
+    const wallTex = this.tex.wall;
 
-    // wall color
+    // wallpapered walls: one texture column per ray, darkened by side, fog and lighting
+    const p = this.sim.player;
     for (let i = 0; i < numRays; i++) {
       const camX = (2 * i) / numRays - 1;
-      const angle = this.player.a + Math.atan(camX * Math.tan(this.fov / 2));
+      const angle = this.sim.player.a + Math.atan(camX * Math.tan(this.fov / 2));
       const r = this.raycast(angle);
 
       // fish-eye correction so walls don't look warped
-      const corrected = r.dist * Math.cos(angle - this.player.a);
+      const corrected = r.dist * Math.cos(angle - this.sim.player.a);
       const dist = Math.max(0.0001, corrected);
-      const lineH = Math.min(h, (h / dist));
-      const start = Math.floor(halfH - lineH / 2);
-      const end = Math.floor(halfH + lineH / 2);
+      this.zbuf[i] = dist;
+      // unclamped height so the texture keeps its scale up close (the canvas clips)
+      const lineH = h / dist;
+      const start = halfH - lineH / 2;
 
-      // shade
-      const base = r.side === 1 ? 0.75 : 1.0;
-      const fog = clamp(1 - dist / 10, 0, 1);
-      const y = Math.floor(210 * base * fog);
-      const col = `rgb(${y}, ${y}, ${Math.floor(y*0.7)})`;
+      // texture column; flip so the pattern runs the same way on every face
+      let texX = Math.floor(r.wallX * TEX_SIZE);
+      if ((r.side === 0 && r.dx > 0) || (r.side === 1 && r.dy < 0)) texX = TEX_SIZE - texX - 1;
 
-      ctx.fillStyle = col;
       const x = Math.floor((i / numRays) * w);
       const ww = Math.ceil(w / numRays) + 1;
-      ctx.fillRect(x, start, ww, end - start);
+      const door = this.sim.doorAt(r.mapX, r.mapY);
+      ctx.drawImage(door ? this.tex.doors[door.color].canvas : wallTex.canvas, texX, 0, 1, TEX_SIZE, x, start, ww, lineH);
+
+      // shade (light sampled just in front of the hit so it comes from the open side)
+      const base = r.side === 1 ? 0.75 : 1.0;
+      const fog = clamp(1 - dist / FOG_DIST, 0, 1);
+      const reach = r.dist - 0.05;
+      const light = Math.min(1, this.lights.at(p.x + r.dx * reach, p.y + r.dy * reach) * this.roomK +
+        beam(camX, 0, dist, this.flashPower));
+      const dark = 1 - base * fog * light;
+      if (dark > 0.01) {
+        ctx.fillStyle = `rgba(0,0,0,${dark.toFixed(3)})`;
+        ctx.fillRect(x, Math.max(0, start), ww, Math.min(h, lineH));
+      }
     }
 
     // draw key/exit/enemy as sprites in pseudo-3D (billboards)
     this.drawBillboards();
 
-    // crosshair
-    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-    ctx.lineWidth = 2*dpr;
-    ctx.beginPath();
-    ctx.moveTo(w/2 - 10*dpr, h/2);
-    ctx.lineTo(w/2 + 10*dpr, h/2);
-    ctx.moveTo(w/2, h/2 - 10*dpr);
-    ctx.lineTo(w/2, h/2 + 10*dpr);
-    ctx.stroke();
+    if (p.hidden) {
+      this.drawPeek(p.hidden.kind);
+    } else {
+      // crosshair
+      ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+      ctx.lineWidth = 2*dpr;
+      ctx.beginPath();
+      ctx.moveTo(w/2 - 10*dpr, h/2);
+      ctx.lineTo(w/2 + 10*dpr, h/2);
+      ctx.moveTo(w/2, h/2 - 10*dpr);
+      ctx.lineTo(w/2, h/2 + 10*dpr);
+      ctx.stroke();
+
+      // standing at a hiding spot
+      const spot = this.sim.hideSpotAt(Math.floor(p.x), Math.floor(p.y));
+      if (spot) {
+        ctx.fillStyle = 'rgba(231,240,255,0.85)';
+        ctx.font = `800 ${13 * dpr}px system-ui, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.fillText(t(`prompt.${spot.kind}`, { key: this.input?.keyHint?.('hide') ?? 'E' }), w / 2, h * 0.72);
+        ctx.textAlign = 'start';
+      }
+    }
+
+    // level name for a moment after entering it
+    const left = this.banner ? this.banner.until - this.sim.time : 0;
+    if (left > 0) {
+      ctx.globalAlpha = clamp(left, 0, 1);
+      ctx.fillStyle = 'rgba(231,240,255,0.92)';
+      ctx.font = `900 ${28 * dpr}px system-ui, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.fillText(levelName(this.banner.level), w / 2, h * 0.3);
+      ctx.textAlign = 'start';
+      ctx.globalAlpha = 1;
+    }
 
     // danger overlay when enemy close
-    const dd = Math.hypot(this.player.x - this.enemy.x, this.player.y - this.enemy.y);
+    const dd = this.sim.nearestEnemyDist();
     const danger = clamp(1 - dd / 9.0, 0, 1);
     if (danger > 0) {
       // red pulse
@@ -524,6 +534,189 @@ export class Game {
       ctx.fillStyle = `rgba(0,0,0,${0.20 * danger})`;
       ctx.fillRect(0, 0, w, h);
     }
+
+    if (this.showMinimap && !this.paused) {
+      const size = Math.min(w, h) * 0.3;
+      this.drawMap(w - size - 14 * dpr, 14 * dpr, size);
+    }
+  }
+
+  // view from inside a hiding spot: locker vents, or the gap under a desk
+  drawPeek(kind) {
+    const ctx = this.ctx;
+    const { w, h } = this.world;
+    ctx.fillStyle = 'rgba(0,0,0,0.94)';
+    if (kind === 'locker') {
+      ctx.beginPath();
+      ctx.rect(0, 0, w, h);
+      for (let i = 0; i < 4; i++) ctx.rect(w * 0.28, h * (0.36 + i * 0.075), w * 0.44, h * 0.035);
+      ctx.fill('evenodd');
+    } else {
+      ctx.fillRect(0, 0, w, h * 0.42);
+      ctx.fillRect(0, 0, w * 0.1, h);
+      ctx.fillRect(w * 0.9, 0, w * 0.1, h);
+      ctx.fillStyle = 'rgba(0,0,0,0.5)';
+      ctx.fillRect(0, h * 0.82, w, h * 0.18);
+    }
+  }
+
+  // Floor / ceiling casting into a low-res buffer: for each screen row the
+  // floor distance is fixed, so step across the row in world space and sample
+  // the carpet / ceiling tile textures. Walls are drawn over it afterwards.
+  drawFloorCeiling() {
+    const { w, h } = this.world;
+    const scale = Math.max(2, Math.ceil(w / FLOOR_RES));
+    const fw = Math.ceil(w / scale);
+    const fh = Math.ceil(h / scale);
+
+    let buf = this.floorBuf;
+    if (!buf || buf.canvas.width !== fw || buf.canvas.height !== fh) {
+      const canvas = document.createElement('canvas');
+      canvas.width = fw;
+      canvas.height = fh;
+      const bctx = canvas.getContext('2d');
+      const img = bctx.createImageData(fw, fh);
+      buf = this.floorBuf = { canvas, ctx: bctx, img, px: new Uint32Array(img.data.buffer) };
+    }
+
+    const p = this.sim.player;
+    const dirX = Math.cos(p.a);
+    const dirY = Math.sin(p.a);
+    const tanHalf = Math.tan(this.fov / 2);
+    const planeX = -dirY * tanHalf;
+    const planeY = dirX * tanHalf;
+
+    const T = TEX_SIZE;
+    const mask = T - 1;
+    const { floor, ceiling, ceilingLight } = this.tex;
+    const lights = this.lights;
+    const { flashPower, roomK } = this;
+    const px = buf.px;
+    const half = fh / 2;
+
+    for (let y = 0; y < fh; y++) {
+      const isFloor = y >= half;
+      // camera at half wall height: a row's distance is the same all the way across
+      const rowDist = (0.5 * fh) / Math.abs(y + 0.5 - half);
+      const fog = clamp(1 - rowDist / FOG_DIST, 0, 1);
+      const row = y * fw;
+      if (fog <= 0) {
+        px.fill(0xff000000, row, row + fw);
+        continue;
+      }
+
+      const stepX = (rowDist * 2 * planeX) / fw;
+      const stepY = (rowDist * 2 * planeY) / fw;
+      let wx = p.x + rowDist * (dirX - planeX) + stepX * 0.5;
+      let wy = p.y + rowDist * (dirY - planeY) + stepY * 0.5;
+      const rowK = isFloor ? fog * 0.8 : fog * 0.9;
+      const ny = (y + 0.5 - half) / (fw / 2);
+
+      for (let x = 0; x < fw; x++, wx += stepX, wy += stepY) {
+        const cx = Math.floor(wx);
+        const cy = Math.floor(wy);
+        const tx = ((wx - cx) * T) & mask;
+        const ty = ((wy - cy) * T) & mask;
+        let tex = floor;
+        let light = lights.at(wx, wy) * roomK;
+        if (flashPower > 0) light = Math.min(1, light + beam((2 * x + 1) / fw - 1, ny, rowDist, flashPower));
+        let k = rowK * light;
+        if (!isFloor) {
+          // a panel is its own light source: full bright when on, grey when dead
+          const panel = lights.panel(cx, cy);
+          tex = panel ? ceilingLight : ceiling;
+          if (panel) k = rowK * (0.3 + 0.7 * panel.on);
+        }
+        const c = tex.pixels[ty * T + tx];
+        const r = (c & 0xff) * k;
+        const g = ((c >>> 8) & 0xff) * k;
+        const b = ((c >>> 16) & 0xff) * k;
+        px[row + x] = (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+      }
+    }
+
+    buf.ctx.putImageData(buf.img, 0, 0);
+    this.ctx.drawImage(buf.canvas, 0, 0, w, h);
+  }
+
+  // corner auto-map (or the full map when paused); only what the player has seen
+  drawMap(x0, y0, size) {
+    const ctx = this.ctx;
+    const { dpr } = this.world;
+    const sim = this.sim;
+    const gw = sim.grid[0].length;
+    const gh = sim.grid.length;
+    const cell = size / Math.max(gw, gh);
+    const seen = (c) => this.seen[c.y * gw + c.x] === 1;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(11,16,32,0.72)';
+    roundedRect(ctx, x0 - 4 * dpr, y0 - 4 * dpr, size + 8 * dpr, size + 8 * dpr, 8 * dpr);
+    ctx.fill();
+
+    for (let y = 0; y < gh; y++) {
+      for (let x = 0; x < gw; x++) {
+        if (!this.seen[y * gw + x]) continue;
+        const door = sim.doorAt(x, y);
+        if (door) ctx.fillStyle = door.open ? 'rgba(255,230,150,0.18)' : lockColor(door.color);
+        else ctx.fillStyle = sim.grid[y][x] === 1 ? 'rgba(210,200,150,0.85)' : 'rgba(255,230,150,0.18)';
+        ctx.fillRect(x0 + x * cell, y0 + y * cell, Math.ceil(cell), Math.ceil(cell));
+      }
+    }
+
+    const dot = (c, color, r, filled = true) => {
+      ctx.beginPath();
+      ctx.arc(x0 + (c.x + 0.5) * cell, y0 + (c.y + 0.5) * cell, Math.max(2 * dpr, cell * r), 0, Math.PI * 2);
+      if (filled) {
+        ctx.fillStyle = color;
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1, dpr);
+        ctx.stroke();
+      }
+    };
+
+    // keys you've spotted, rings where you already picked one up
+    for (const k of sim.keyPos) if (seen(k)) dot(k, '#2ee59d', 0.35);
+    for (const k of sim.keysTaken) dot(k, 'rgba(46,229,157,0.6)', 0.35, false);
+    for (const b of sim.batteryPos) if (seen(b)) dot(b, '#7fd1ff', 0.25);
+    for (const k of sim.doorKeys) if (seen(k)) dot(k, lockColor(k.color), 0.3);
+    for (const s of sim.hideSpots) if (seen(s)) dot(s, 'rgba(160,190,170,0.8)', 0.22, false);
+    if (sim.exitPos && seen(sim.exitPos)) dot(sim.exitPos, sim.keys >= sim.keysNeeded ? '#ffd166' : '#7c5cff', 0.45);
+    // never the enemy: the map is a comfort, not radar
+
+    // player arrow
+    const p = sim.player;
+    const r = Math.max(4 * dpr, cell * 0.6);
+    ctx.translate(x0 + p.x * cell, y0 + p.y * cell);
+    ctx.rotate(p.a);
+    ctx.fillStyle = '#e7f0ff';
+    ctx.beginPath();
+    ctx.moveTo(r, 0);
+    ctx.lineTo(-r * 0.7, r * 0.6);
+    ctx.lineTo(-r * 0.35, 0);
+    ctx.lineTo(-r * 0.7, -r * 0.6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  drawPauseMap() {
+    const ctx = this.ctx;
+    const { w, h, dpr } = this.world;
+    this.draw();
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(0, 0, w, h);
+
+    const size = Math.min(w, h) * 0.82;
+    this.drawMap((w - size) / 2, (h - size) / 2 + 10 * dpr, size);
+
+    ctx.fillStyle = 'rgba(231,240,255,0.9)';
+    ctx.font = `900 ${14 * dpr}px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.fillText(t('paused'), w / 2, (h - size) / 2 - 2 * dpr);
+    ctx.textAlign = 'start';
   }
 
   drawBillboards() {
@@ -532,38 +725,66 @@ export class Game {
 
     const ents = [];
 
-    // keys as green squares
-    for (const k of this.keyPos) {
+    // keys as green squares (always a little visible so dark zones stay winnable)
+    for (const k of this.sim.keyPos) {
       ents.push({ kind: 'key', x: k.x + 0.5, y: k.y + 0.5, color: '#2ee59d' });
     }
 
+    for (const k of this.sim.doorKeys) {
+      ents.push({ kind: 'key', x: k.x + 0.5, y: k.y + 0.5, color: lockColor(k.color) });
+    }
+
+    for (const b of this.sim.batteryPos) {
+      ents.push({ kind: 'battery', x: b.x + 0.5, y: b.y + 0.5, color: '#7fd1ff' });
+    }
+
+    // hiding spots (the one you're inside is skipped below, it's too close)
+    for (const s of this.sim.hideSpots) {
+      ents.push({ kind: s.kind, x: s.x + 0.5, y: s.y + 0.5, color: s.kind === 'locker' ? '#6f8a7a' : '#8a6a48' });
+    }
+
     // exit
-    if (this.exitPos) {
-      ents.push({ kind: 'exit', x: this.exitPos.x + 0.5, y: this.exitPos.y + 0.5, color: this.keys >= 3 ? '#ffd166' : '#7c5cff' });
+    if (this.sim.exitPos) {
+      ents.push({ kind: 'exit', x: this.sim.exitPos.x + 0.5, y: this.sim.exitPos.y + 0.5, color: this.sim.keys >= this.sim.keysNeeded ? '#ffd166' : '#7c5cff' });
     }
 
-    // enemy (black ghost)
-    ents.push({ kind: 'enemy', x: this.enemy.x, y: this.enemy.y, color: '#0a0a0a' });
+    // enemies (black ghosts)
+    for (const en of this.sim.enemies) {
+      ents.push({ kind: 'enemy', x: en.x, y: en.y, color: '#0a0a0a' });
+    }
 
     // sort by distance far->near
-    ents.sort((a, b) => (dist2(this.player, b) - dist2(this.player, a)));
+    ents.sort((a, b) => (dist2(this.sim.player, b) - dist2(this.sim.player, a)));
 
     for (const e of ents) {
-      const dx = e.x - this.player.x;
-      const dy = e.y - this.player.y;
+      const dx = e.x - this.sim.player.x;
+      const dy = e.y - this.sim.player.y;
       const d = Math.hypot(dx, dy);
       if (d < 0.4) continue;
 
       const ang = Math.atan2(dy, dx);
-      const rel = wrapAngle(ang - this.player.a);
-      if (Math.abs(rel) > this.fov * 0.55) continue;
-
-      // project to screen
-      const sx = (0.5 + (rel / this.fov)) * w;
-      const size = clamp((h / d) * (e.kind === 'enemy' ? 0.34 : 0.18), 10, h * 0.55);
+      const rel = wrapAngle(ang - this.sim.player.a);
+      if (Math.abs(rel) > Math.PI * 0.45) continue;
+
+      // project to screen the same way the wall rays are laid out
+      const depth = d * Math.cos(rel);
+      const camX = Math.tan(rel) / Math.tan(this.fov / 2);
+      const sx = (0.5 + camX / 2) * w;
+      // furniture stands on the floor at full wall scale; the rest float at eye height
+      const furniture = e.kind === 'locker' || e.kind === 'desk';
+      const size = furniture ? clamp(h / depth, 10, h * 4) : clamp((h / depth) * (e.kind === 'enemy' ? 0.34 : 0.18), 10, h * 0.55);
+      const room = this.lights.at(e.x, e.y) * this.roomK;
+      const light = clamp(1 - depth / FOG_DIST, 0, 1) * Math.min(1, room + beam(camX, 0, depth, this.flashPower));
       const sy = h * 0.5;
+      const halfW = size * SPRITE_HALF_W[e.kind];
+      if (sx + halfW < 0 || sx - halfW > w) continue;
 
       ctx.save();
+      // depth test: only the columns where this sprite is nearer than the wall
+      if (!this.clipToVisibleColumns(sx - halfW, sx + halfW, depth)) {
+        ctx.restore();
+        continue;
+      }
       ctx.translate(sx, sy);
 
       if (e.kind === 'enemy') {
@@ -575,14 +796,15 @@ export class Game {
         ctx.globalAlpha = 0.98;
 
         // aura (draw first)
-        ctx.fillStyle = `rgba(124,92,255,${0.28 * auraPulse})`;
+        const glow = 0.35 + 0.65 * light;
+        ctx.fillStyle = `rgba(124,92,255,${0.28 * auraPulse * glow})`;
         ctx.beginPath();
         ctx.ellipse(0, 0, size*0.78, size*1.05, 0, 0, Math.PI*2);
         ctx.fill();
 
         // wisps
         ctx.globalAlpha = 0.35;
-        ctx.strokeStyle = `rgba(124,92,255,${0.65 * auraPulse})`;
+        ctx.strokeStyle = `rgba(124,92,255,${0.65 * auraPulse * glow})`;
         ctx.lineWidth = Math.max(2, size*0.055);
         for (let k = 0; k < 7; k++) {
           const a = (k/7) * Math.PI*2 + time/850;
@@ -642,7 +864,7 @@ export class Game {
         ctx.fill();
 
         // outline glow
-        ctx.strokeStyle = `rgba(124,92,255,${0.95 * auraPulse})`;
+        ctx.strokeStyle = `rgba(124,92,255,${0.95 * auraPulse * glow})`;
         ctx.lineWidth = Math.max(2, size*0.07);
         ctx.beginPath();
         ctx.ellipse(lean + jitter, -size*0.34 + bob, size*0.22, size*0.26, -0.25, 0, Math.PI*2);
@@ -661,15 +883,38 @@ export class Game {
         ctx.fill();
       } else if (e.kind === 'exit') {
         ctx.globalAlpha = 0.95;
-        ctx.fillStyle = e.color;
+        ctx.fillStyle = shade(e.color, Math.max(0.3, light));
         roundedRect(ctx, -size*0.30, -size*0.55, size*0.60, size*1.10, size*0.10);
         ctx.fill();
         ctx.fillStyle = 'rgba(0,0,0,0.35)';
         ctx.fillRect(-size*0.10, 0, size*0.20, size*0.22);
+      } else if (e.kind === 'locker') {
+        // floor is at +0.5 size
+        ctx.fillStyle = shade(e.color, light);
+        ctx.fillRect(-size*0.28, -size*0.3, size*0.56, size*0.8);
+        ctx.fillStyle = shade('#28322c', light);
+        ctx.fillRect(-size*0.01, -size*0.3, size*0.02, size*0.8);
+        for (let v = 0; v < 4; v++) {
+          ctx.fillRect(-size*0.22, -size*0.24 + v*size*0.04, size*0.16, size*0.015);
+          ctx.fillRect(size*0.06, -size*0.24 + v*size*0.04, size*0.16, size*0.015);
+        }
+      } else if (e.kind === 'desk') {
+        ctx.fillStyle = shade(e.color, light);
+        ctx.fillRect(-size*0.48, size*0.1, size*0.96, size*0.05);
+        ctx.fillRect(-size*0.46, size*0.15, size*0.05, size*0.35);
+        ctx.fillRect(size*0.41, size*0.15, size*0.05, size*0.35);
+        ctx.fillStyle = shade('#5a4430', light);
+        ctx.fillRect(-size*0.41, size*0.15, size*0.82, size*0.16);
+      } else if (e.kind === 'battery') {
+        ctx.globalAlpha = 0.95;
+        ctx.fillStyle = shade(e.color, Math.max(0.4, light));
+        roundedRect(ctx, -size*0.12, -size*0.22, size*0.24, size*0.44, size*0.05);
+        ctx.fill();
+        ctx.fillRect(-size*0.05, -size*0.28, size*0.10, size*0.06);
       } else {
         // key
         ctx.globalAlpha = 0.95;
-        ctx.fillStyle = e.color;
+        ctx.fillStyle = shade(e.color, Math.max(0.4, light));
         ctx.beginPath();
         ctx.arc(0, 0, size*0.22, 0, Math.PI*2);
         ctx.fill();
@@ -682,31 +927,100 @@ export class Game {
     }
   }
 
+  // clip to the runs of ray columns in [x0, x1] whose wall is behind `depth`;
+  // false when the sprite is fully hidden
+  clipToVisibleColumns(x0, x1, depth) {
+    const ctx = this.ctx;
+    const { w, h } = this.world;
+    const n = this.zbuf.length;
+    const i0 = clamp(Math.floor((x0 / w) * n), 0, n - 1);
+    const i1 = clamp(Math.ceil((x1 / w) * n), 0, n - 1);
+
+    ctx.beginPath();
+    let any = false;
+    let run = -1;
+    for (let i = i0; i <= i1 + 1; i++) {
+      const visible = i <= i1 && this.zbuf[i] > depth;
+      if (visible && run < 0) run = i;
+      if (!visible && run >= 0) {
+        const xa = Math.floor((run / n) * w);
+        const xb = Math.ceil((i / n) * w);
+        ctx.rect(xa, 0, xb - xa, h);
+        any = true;
+        run = -1;
+      }
+    }
+    if (any) ctx.clip();
+    return any;
+  }
+
   loop(t) {
-    if (!this.running || this.paused) return;
-    const dt = clamp((t - this.lastT) / 1000, 0, 0.033);
+    requestAnimationFrame(this.loop);
+    const dt = clamp((t - this.lastT) / 1000, 0, MAX_FRAME);
     this.lastT = t;
 
-    this.step(dt, t / 1000);
+    this.input?.poll();
+    if (!this.running || this.paused) return;
+
+    this.acc += dt;
+    while (this.acc >= STEP && this.running) {
+      this.tickOnce();
+      this.acc -= STEP;
+    }
     if (!this.running) return;
 
+    // lights follow sim time, so they freeze on pause and match in replays
+    this.lights.update(this.sim.time);
+
     // audio
+    const p = this.sim.player;
     if (this.audio?.enabled) {
-      const moving = Math.hypot(this.move.x, this.move.y);
-      const dd = Math.hypot(this.player.x - this.enemy.x, this.player.y - this.enemy.y);
+      const dd = this.sim.nearestEnemyDist();
       const danger = clamp(1 - dd / 9.0, 0, 1);
-      this.audio.update({ moving, danger });
+      // breathing gets heavy as stamina runs low, and heaviest when winded
+      const breath = p.winded ? 1 : (1 - p.stamina) * 0.5;
+      // hum follows the nearby panels (cuts out with a flicker, quiet in dark zones)
+      const { hum, crackle } = this.lights.sound(p.x, p.y);
+      this.audio.update({ danger, breath, hum, dt });
+      if (crackle > 0) this.audio.crackle(crackle);
+    }
+
+    if (this.ui.battery) {
+      this.ui.battery.style.width = `${Math.round(p.battery * 100)}%`;
+      this.ui.battery.classList.toggle('low', p.battery < 0.2);
+      this.ui.battery.classList.toggle('on', p.light);
+    }
+
+    if (this.ui.stamina) {
+      this.ui.stamina.style.width = `${Math.round(p.stamina * 100)}%`;
+      this.ui.stamina.classList.toggle('winded', p.winded);
     }
 
     this.draw();
-    requestAnimationFrame(this.loop);
   }
 }
 
-function wrapAngle(a) {
-  while (a < -Math.PI) a += Math.PI * 2;
-  while (a > Math.PI) a -= Math.PI * 2;
-  return a;
+// flashlight brightness at screen offset (nx, ny in half screen widths from the centre)
+// and distance d (tiles); power 0 = off
+function beam(nx, ny, d, power) {
+  if (power <= 0 || d >= FLASH.reach) return 0;
+  const r = (nx * nx + ny * ny) / (FLASH.cone * FLASH.cone);
+  if (r >= 1) return 0;
+  return (1 - r) * (1 - d / FLASH.reach) * FLASH.strength * power;
+}
+
+function lockColor(name) {
+  const [r, g, b] = LOCK_RGB[name];
+  return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+}
+
+// '#rrggbb' scaled towards black
+function shade(hex, k) {
+  const n = parseInt(hex.slice(1), 16);
+  const r = Math.round(((n >> 16) & 0xff) * k);
+  const g = Math.round(((n >> 8) & 0xff) * k);
+  const b = Math.round((n & 0xff) * k);
+  return `rgb(${r},${g},${b})`;
 }
 
 function dist2(a, b) {
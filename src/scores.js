@@ -0,0 +1,50 @@
+// Local best times: escaped runs per maze, kept in localStorage.
+// A maze is difficulty + seed (+ layout when the run overrode the per-level generators),
+// the same things a "Copy link" URL pins down, so everyone racing one link shares a board.
+
+const STORAGE_KEY = 'backrooms-kids.scores';
+const KEEP = 10; // runs per board
+
+export function boardKey({ difficulty, seed, layout = null }) {
+  return layout ? `${difficulty}:${seed}:${layout}` : `${difficulty}:${seed}`;
+}
+
+// m:ss.s
+export function formatTime(s) {
+  // round to tenths first, so 59.96 s is 1:00.0 and not 0:60.0
+  const ds = Math.round(s * 10);
+  const m = Math.floor(ds / 600);
+  const rest = ((ds % 600) / 10).toFixed(1).padStart(4, '0');
+  return `${m}:${rest}`;
+}
+
+export class Leaderboard {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch {
+      return {};
+    }
+  }
+
+  // fastest first
+  list(key) {
+    const board = this.load()[key];
+    return Array.isArray(board) ? board : [];
+  }
+
+  // entry = { ticks, time, date, ... }; returns its rank, or -1 when it didn't make the board
+  add(key, entry) {
+    const all = this.load();
+    const board = [...this.list(key), entry].sort((a, b) => a.ticks - b.ticks || a.date - b.date);
+    const rank = board.indexOf(entry);
+    all[key] = board.slice(0, KEEP);
+    try { this.storage?.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+    return rank < KEEP ? rank : -1;
+  }
+}
@@ -0,0 +1,63 @@
+// Player settings: look, view, sound and the touch layout.
+// - every setting has a default (the value the game shipped with) and slider limits
+// - values are persisted in localStorage; main.js applies them to the game live
+
+const STORAGE_KEY = 'backrooms-kids.settings';
+
+// range settings: min / max / step for the slider; the rest are on/off switches
+// (labels are i18n.js 'setting.<name>')
+export const SETTINGS = {
+  sensitivity: { def: 1, min: 0.3, max: 3, step: 0.1 },
+  fov: { def: 180 / 4.2, min: 35, max: 75, step: 1 }, // degrees
+  volume: { def: 0.55, min: 0, max: 1, step: 0.05 },
+  renderScale: { def: 2, min: 0.5, max: 3, step: 0.25 }, // max device pixel ratio
+  stickRadius: { def: 54, min: 30, max: 80, step: 2 }, // px
+  deadzone: { def: 0.06, min: 0, max: 0.3, step: 0.01 },
+  invertLook: { def: false },
+  leftHanded: { def: false },
+};
+
+export class Settings {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.values = this.load();
+  }
+
+  load() {
+    const v = Object.fromEntries(Object.entries(SETTINGS).map(([name, s]) => [name, s.def]));
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      for (const name of Object.keys(v)) {
+        if (saved?.[name] !== undefined) v[name] = clean(name, saved[name]);
+      }
+    } catch {}
+    return v;
+  }
+
+  save() {
+    try { this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.values)); } catch {}
+  }
+
+  get(name) {
+    return this.values[name];
+  }
+
+  set(name, value) {
+    this.values[name] = clean(name, value);
+    this.save();
+  }
+
+  reset() {
+    this.values = Object.fromEntries(Object.entries(SETTINGS).map(([name, s]) => [name, s.def]));
+    this.save();
+  }
+}
+
+// switches become booleans, ranges numbers inside their limits (bad input -> default)
+function clean(name, value) {
+  const s = SETTINGS[name];
+  if (typeof s.def === 'boolean') return !!value;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return s.def;
+  return Math.max(s.min, Math.min(s.max, n));
+}
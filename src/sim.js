@@ -0,0 +1,996 @@
+// Pure simulation core: maze, player, keys, exit, enemy, collision, win/lose.
+// No DOM, canvas or clock: it only moves when advance() is called, so the same
+// code runs in the browser and headless in Node (tests, replay checks).
+//
+// The renderer / HUD subscribe to events:
+// - 'keys'   (count)           key picked up
+// - 'inventory' (colors)       door keys held changed
+// - 'door'   ({ x, y, color }) a locked door was opened
+// - 'hide'   (hidden)          climbed into / out of a hiding spot
+// - 'status' (code)            'findKeys' | 'goExit' | 'needKeys' | 'locked' | 'hidden' | 'heard' | 'run'
+// - 'noise'  ({ x, y, radius, gait })  a footstep enemies may hear
+// - 'level'  (index)           a level was entered (0 on start, then after each exit)
+// - 'end'    (result)          'win' (out of the last level) | 'caught'
+//
+// Enemy states: chase (sees you) -> investigate (walks to the last known
+// position) -> search (checks a few nearby cells) -> patrol (roams the maze).
+// Noise within hearing range sends a non-chasing enemy to investigate its source.
+// A lit flashlight gives you away from further off (FLASHLIGHT.spotted).
+// Nobody can see into a hiding spot, except an enemy that watched you climb in:
+// it walks straight to the spot and pulls you out.
+//
+// Run stats (this.stats) are kept for the end card and the best-times board:
+// distance walked, times an enemy spotted you, when each key was picked up and
+// the closest an enemy got without catching you.
+//
+// snapshot() / restore() turn a run into plain JSON and back (save & resume);
+// the random stream is saved too, so a restored run carries on exactly.
+//
+// Locked doors are plain wall cells in the grid until opened, so collision,
+// sight and enemy pathing all treat a closed door as a wall for free.
+
+import { rng, generate, GENERATORS, findRandomFloor, floodDistances, findPath } from './maze.js';
+
+// simulation runs at a fixed rate so a seed + input log replays exactly
+export const STEP = 1 / 60;
+
+// bumped when snapshot() changes shape (older saves are dropped)
+export const SAVE_VERSION = 1;
+
+// enemy count / speeds (tiles per s) / sight range (tiles) / map size (odd) / keys to open the exit /
+// flashlight batteries lying around / locked doors on the way to the exit
+export const DIFFICULTY = {
+  easy: { enemies: 1, patrol: 1.4, chase: 2.8, sight: 8, map: 23, keys: 3, batteries: 4, doors: 1 },
+  normal: { enemies: 1, patrol: 1.7, chase: 3.2, sight: 12, map: 31, keys: 3, batteries: 3, doors: 1 },
+  hard: { enemies: 2, patrol: 1.9, chase: 3.4, sight: 14, map: 35, keys: 4, batteries: 3, doors: 2 },
+  nightmare: { enemies: 3, patrol: 2.2, chase: 3.6, sight: 18, map: 41, keys: 5, batteries: 2, doors: 3 },
+};
+
+// lock colours, in the order doors are met on the way to the exit
+export const DOOR_COLORS = ['red', 'blue', 'orange'];
+const DOOR_REACH = 0.85; // walk this close to a door's centre to try it
+const DOOR_SEAL_MAX = 40; // most wall cells put up to close the loops around one door
+
+// level sequence: map / enemies / keys are added to the difficulty preset, speed scales it;
+// generator + gen = maze.js GENERATORS name and options, palette = textures.js PALETTES (renderer only)
+export const LEVELS = [
+  { name: 'Level 0', palette: 'yellow', generator: 'maze', gen: { loops: 0.02 }, map: 0, enemies: 0, keys: 0, speed: 1 },
+  { name: 'Level 1', palette: 'concrete', generator: 'halls', gen: {}, map: 4, enemies: 0, keys: 1, speed: 1.05 },
+  { name: 'Level 2', palette: 'rust', generator: 'rooms', gen: {}, map: 8, enemies: 1, keys: 1, speed: 1.1 },
+];
+
+// investigate / search speeds relative to the chase speed
+const HUNT_SPEED = { investigate: 0.8, search: 0.62 };
+const CHASE_MEMORY = 0.5; // s it keeps tracking you after losing sight
+const SEARCH_RADIUS = 6; // path steps around the last known position
+const SEARCH_SPOTS = 3;
+const SEARCH_TIME = 10; // s
+
+// footsteps by gait: seconds between steps, hearing radius (tiles), loudness for audio
+export const GAITS = {
+  sneak: { cadence: 0.6, radius: 1.5, volume: 0.35 },
+  walk: { cadence: 0.36, radius: 5, volume: 1 },
+  sprint: { cadence: 0.24, radius: 9, volume: 1.6 },
+};
+const SNEAK_SPEED = 0.45; // fraction of player.speed
+
+// sprint: stamina is 0..1; running dry leaves you winded until it refills a bit
+export const SPRINT = {
+  speed: 1.45, // fraction of player.speed (chase is 3.2, sprint ~4.9)
+  drain: 1 / 4, // per s -> 4 s of sprinting from full
+  regen: 1 / 6, // per s
+  regenDelay: 1.0, // s after the last sprint before it refills
+  recover: 0.35, // stamina needed to sprint again once winded
+  windedSpeed: 0.85, // fraction of player.speed while winded
+};
+const MUFFLED = 0.6; // hearing radius factor through walls
+
+// flashlight: battery is 0..1 and only drains while the light is on
+export const FLASHLIGHT = {
+  drain: 1 / 90, // per s -> 90 s of light from full
+  pickup: 0.5, // battery per pickup
+  spotted: 1.5, // enemy sight range factor while lit
+};
+// item placement, in BFS steps from the spawn
+const PLACE = {
+  keyMin: 8,
+  keySpread: 0.75, // keys go among the cells at least this fraction as far from everything as the best one
+  exitFrac: 0.6, // exit among the farthest 40% of the level
+  enemyFirst: [12, 20], // the first enemy: shows up early, but never a few steps away
+  enemyMin: 18, // the others
+  batteryMin: 4,
+};
+// hiding spots: one per `per` reachable cells (at least `min`), lockers in dead ends, desks elsewhere;
+// reach = how close to a spot's centre you have to be to climb in
+const HIDE = { per: 70, min: 3, reach: 0.7 };
+const HIDE_SALT = 0x41de;
+
+// batteries use their own rng stream, so their count can be tuned without moving anything else on a seed
+const BATTERY_SALT = 0xba77e2;
+
+export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+export function isSnapshot(s) {
+  return s?.v === SAVE_VERSION && Number.isInteger(s.seed) && DIFFICULTY[s.difficulty] != null &&
+    LEVELS[s.level] != null && Array.isArray(s.grid) && Array.isArray(s.enemies) && s.player != null;
+}
+
+export function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export function wrapAngle(a) {
+  while (a < -Math.PI) a += Math.PI * 2;
+  while (a > Math.PI) a -= Math.PI * 2;
+  return a;
+}
+
+export class Sim {
+  constructor({ difficulty = 'normal' } = {}) {
+    this.setDifficulty(difficulty);
+
+    this.seed = 0;
+    this.R = rng(1);
+
+    this.grid = [];
+    this.state = 'idle'; // 'playing' | 'win' | 'caught'
+    this.status = 'findKeys';
+
+    this.player = {
+      x: 1.5, y: 1.5, a: 0, vx: 0, vy: 0, speed: 3.4, gait: 'still', stepT: 0,
+      stamina: 1, winded: false, restT: 0, light: false, battery: 1,
+      hidden: null, // the hiding spot you're in
+    };
+
+    this.layout = null; // generator for every level of the run (null = each level's own)
+    this.level = 0;
+    this.keysTotal = 0; // keys picked up on earlier levels
+
+    this.keys = 0;
+    this.keyPos = [];
+    this.keysTaken = [];
+    this.exitPos = null;
+    this.batteryPos = [];
+    this.hideSpots = []; // { x, y, kind: 'locker' | 'desk' }
+
+    this.doors = []; // { x, y, color, open }
+    this.doorKeys = []; // { x, y, color } still lying around
+    this.inventory = []; // colours of door keys held
+    this.lockedColor = null; // the last door you couldn't open
+
+    this.enemies = [];
+
+    this.tick = 0;
+    this.time = 0; // simulated seconds
+    this.stats = newStats();
+
+    this.listeners = {};
+  }
+
+  on(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+    return () => { this.listeners[type] = this.listeners[type].filter(f => f !== fn); };
+  }
+
+  emit(type, payload) {
+    for (const fn of this.listeners[type] || []) fn(payload);
+  }
+
+  setDifficulty(name) {
+    this.difficulty = DIFFICULTY[name] ? name : 'normal';
+    this.setLevel(0);
+  }
+
+  setLayout(name) {
+    this.layout = GENERATORS[name] ? name : null;
+  }
+
+  // cfg = the difficulty preset adjusted for level `n`
+  setLevel(n) {
+    const base = DIFFICULTY[this.difficulty];
+    const lv = LEVELS[n];
+    this.level = n;
+    this.cfg = {
+      ...base,
+      map: base.map + lv.map,
+      enemies: base.enemies + lv.enemies,
+      keys: base.keys + lv.keys,
+      patrol: base.patrol * lv.speed,
+      chase: base.chase * lv.speed,
+    };
+    this.mapW = this.cfg.map;
+    this.mapH = this.cfg.map;
+  }
+
+  get keysNeeded() {
+    return this.cfg.keys;
+  }
+
+  get levelInfo() {
+    return LEVELS[this.level];
+  }
+
+  // level 0 uses the run seed itself, so its maze is the same as a single-level run's
+  get levelSeed() {
+    return (this.seed + Math.imul(this.level, 0x9e3779b9)) >>> 0;
+  }
+
+  setStatus(code) {
+    if (this.status === code) return;
+    this.status = code;
+    this.emit('status', code);
+  }
+
+  end(result) {
+    if (this.state !== 'playing') return;
+    this.state = result;
+    this.emit('end', result);
+  }
+
+  start(seed) {
+    // every level's grid, keys, exit and enemy placement derive from this one seed
+    this.seed = seed >>> 0;
+    this.state = 'playing';
+    this.tick = 0;
+    this.time = 0;
+    this.keysTotal = 0;
+    this.stats = newStats();
+
+    this.player.gait = 'still';
+    this.player.stepT = 0;
+    this.player.stamina = 1;
+    this.player.winded = false;
+    this.player.restT = 0;
+    this.player.light = false;
+    this.player.battery = 1;
+
+    this.enterLevel(0);
+  }
+
+  // Keys, exit, enemies and batteries by walking (BFS) distance from the spawn,
+  // only on cells the spawn can reach. Keys are spread farthest-point style, so
+  // each one tends to sit down a different branch.
+  placeItems(spawn) {
+    const w = this.grid[0].length;
+    let fromSpawn = floodDistances(this.grid, spawn);
+    let cells = [];
+    let far = 0;
+    for (let i = 0; i < fromSpawn.length; i++) {
+      if (fromSpawn[i] <= 0) continue;
+      cells.push(i);
+      far = Math.max(far, fromSpawn[i]);
+    }
+    const at = (i) => ({ x: i % w, y: Math.floor(i / w) });
+    const taken = new Set([spawn.y * w + spawn.x]);
+    const free = (i) => !taken.has(i);
+
+    // keys: spread[i] = steps to the spawn or the nearest key placed so far
+    this.keys = 0;
+    this.keyPos = [];
+    this.keysTaken = [];
+    const spread = Int32Array.from(fromSpawn);
+    for (let k = 0; k < this.cfg.keys; k++) {
+      const open = cells.filter(i => free(i) && fromSpawn[i] >= PLACE.keyMin);
+      const pool = open.length ? open : cells.filter(free);
+      if (!pool.length) break;
+      let best = 0;
+      for (const i of pool) best = Math.max(best, spread[i]);
+      const i = pick(this.R, pool.filter(c => spread[c] >= best * PLACE.keySpread));
+      taken.add(i);
+      this.keyPos.push(at(i));
+      const dk = floodDistances(this.grid, at(i));
+      for (const c of cells) spread[c] = Math.min(spread[c], dk[c]);
+    }
+
+    // exit: out in the far part of the level, not right next to a key
+    const exits = cells.filter(i => free(i) && fromSpawn[i] >= far * PLACE.exitFrac && spread[i] >= 3);
+    const exit = exits.length ? pick(this.R, exits) : farthest(cells.filter(free), fromSpawn);
+    taken.add(exit);
+    this.exitPos = at(exit);
+
+    // walls put up around doors may close off a corner: distances again (doors open)
+    if (this.placeDoors(spawn, cells, taken)) {
+      for (const door of this.doors) this.grid[door.y][door.x] = 0;
+      fromSpawn = floodDistances(this.grid, spawn);
+      for (const door of this.doors) this.grid[door.y][door.x] = 1;
+      cells = cells.filter(i => fromSpawn[i] > 0);
+    }
+
+    // enemies: the first close enough to show up during short playtests, the rest further out
+    this.enemies = [];
+    for (let n = 0; n < this.cfg.enemies; n++) {
+      const [minD, maxD] = n === 0 ? PLACE.enemyFirst : [PLACE.enemyMin, Infinity];
+      let pool = cells.filter(i => free(i) && fromSpawn[i] >= minD && fromSpawn[i] <= maxD);
+      if (!pool.length) pool = cells.filter(i => free(i) && fromSpawn[i] >= PLACE.enemyFirst[0]);
+      const i = pool.length ? pick(this.R, pool) : farthest(cells.filter(free), fromSpawn);
+      taken.add(i);
+      const en = at(i);
+
+      this.enemies.push({
+        x: en.x + 0.5,
+        y: en.y + 0.5,
+        state: 'patrol',
+        a: this.R() * Math.PI * 2,
+        speed: this.cfg.patrol,
+        chaseSpeed: this.cfg.chase,
+        lastSeen: 0,
+        lastKnown: null,
+        path: [],
+        searchLeft: 0,
+        searchUntil: 0,
+        sawHide: false,
+      });
+    }
+
+    // batteries: own rng stream, anywhere reachable a little away from the start
+    const RB = rng((this.levelSeed ^ BATTERY_SALT) >>> 0);
+    this.batteryPos = [];
+    for (let b = 0; b < this.cfg.batteries; b++) {
+      const pool = cells.filter(i => free(i) && fromSpawn[i] >= PLACE.batteryMin);
+      if (!pool.length) break;
+      const i = pick(RB, pool);
+      taken.add(i);
+      this.batteryPos.push(at(i));
+    }
+
+    // hiding spots: own rng stream too
+    const RH = rng((this.levelSeed ^ HIDE_SALT) >>> 0);
+    this.hideSpots = [];
+    const count = Math.max(HIDE.min, Math.round(cells.length / HIDE.per));
+    for (let h = 0; h < count; h++) {
+      const pool = cells.filter(i => free(i) && fromSpawn[i] >= PLACE.batteryMin);
+      if (!pool.length) break;
+      const ends = pool.filter(i => isDeadEnd(this.grid, at(i)));
+      const i = pick(RH, ends.length && h % 2 === 0 ? ends : pool);
+      taken.add(i);
+      this.hideSpots.push({ ...at(i), kind: isDeadEnd(this.grid, at(i)) ? 'locker' : 'desk' });
+    }
+  }
+
+  // Locked doors on the route to the exit, each one cutting the exit off by itself;
+  // the key for door k lies where doors before k get you (behind door k-1 when
+  // there's room), so they have to be opened in order. Chokepoints are tried first;
+  // where the route has none that cut (loops, rooms, open halls), the way around a
+  // route cell is walled up (sealAround). Returns how many wall cells went up.
+  placeDoors(spawn, cells, taken) {
+    const w = this.grid[0].length;
+    const at = (i) => ({ x: i % w, y: Math.floor(i / w) });
+    this.doors = [];
+    this.doorKeys = [];
+    this.inventory = [];
+    this.lockedColor = null;
+
+    const route = findPath(this.grid, spawn, this.exitPos) || [];
+    const keep = new Set(route.map(c => c.y * w + c.x));
+    const count = Math.min(this.cfg.doors, DOOR_COLORS.length);
+    let after = 2; // route index the next door has to come after
+    let walls = 0;
+    for (let d = 0; d < count; d++) {
+      // each door gets its own stretch of the route so they don't bunch up
+      const lo = Math.max(after, Math.floor(route.length * (0.2 + (0.7 * d) / count)));
+      const hi = Math.floor(route.length * (0.2 + (0.7 * (d + 1)) / count));
+      // (the rest of the route after it when nothing on the stretch works)
+      const chokes = [];
+      const others = [];
+      const later = [];
+      for (let r = after; r < route.length - 2; r++) {
+        const c = route[r];
+        if (taken.has(c.y * w + c.x)) continue;
+        if (r < lo || r >= hi) later.push(r);
+        else (isChokepoint(this.grid, c) ? chokes : others).push(r);
+      }
+      placing: for (const cands of [chokes, others, later]) {
+        while (cands.length) {
+          const r = cands.splice(Math.floor(this.R() * cands.length), 1)[0];
+          const c = route[r];
+          const sealed = this.sealAround(route, r, spawn, keep, taken);
+          if (!sealed) continue;
+          walls += sealed.length;
+          this.doors.push({ x: c.x, y: c.y, color: DOOR_COLORS[d], open: false });
+          taken.add(c.y * w + c.x);
+          after = r + 3;
+          break placing;
+        }
+      }
+    }
+
+    // keys, working outwards: reach = cells you can get to with doors [0, k) open
+    for (const door of this.doors) this.grid[door.y][door.x] = 1;
+    let prev = null;
+    for (let k = 0; k < this.doors.length; k++) {
+      for (let j = 0; j < k; j++) this.grid[this.doors[j].y][this.doors[j].x] = 0;
+      const reach = floodDistances(this.grid, spawn);
+      for (let j = 0; j < k; j++) this.grid[this.doors[j].y][this.doors[j].x] = 1;
+
+      const ok = cells.filter(i => !taken.has(i) && reach[i] >= PLACE.batteryMin);
+      const behind = ok.filter(i => !prev || prev[i] === -1);
+      const pool = behind.length ? behind : ok;
+      if (pool.length) {
+        const i = pick(this.R, pool);
+        taken.add(i);
+        this.doorKeys.push({ ...at(i), color: this.doors[k].color });
+      }
+      prev = reach;
+    }
+    return walls;
+  }
+
+  // Close route cell c = route[r] and wall up whatever still leads around it until it
+  // cuts the spawn off from the exit. Cells on the line through c across the route go
+  // first, so the walls come out as a partition with the door in it. Walls never go
+  // on `keep` cells and never cut a `taken` one off (with c open), and c has to end up
+  // a doorway (chokepoint). Returns the cells walled up, or null with the grid left as it was.
+  sealAround(route, r, spawn, keep, taken) {
+    const w = this.grid[0].length;
+    const c = route[r];
+    const exitI = this.exitPos.y * w + this.exitPos.x;
+    const across = route[r - 1].y === c.y; // route runs along x here: the partition runs along y
+    const walls = [];
+    const undo = () => {
+      for (const i of walls) this.grid[Math.floor(i / w)][i % w] = 0;
+      this.grid[c.y][c.x] = 0;
+      return null;
+    };
+    const reachesAll = () => {
+      const d = floodDistances(this.grid, spawn);
+      for (const i of taken) if (d[i] < 0) return false;
+      return true;
+    };
+    const off = (b) => across
+      ? Math.abs(b.x - c.x) * w + Math.abs(b.y - c.y)
+      : Math.abs(b.y - c.y) * w + Math.abs(b.x - c.x);
+
+    this.grid[c.y][c.x] = 1;
+    while (floodDistances(this.grid, spawn)[exitI] !== -1) {
+      if (walls.length >= DOOR_SEAL_MAX) return undo();
+      const around = findPath(this.grid, spawn, this.exitPos) || [];
+      const cands = around.filter(b => !keep.has(b.y * w + b.x)).sort((a, b) => off(a) - off(b));
+      this.grid[c.y][c.x] = 0;
+      const b = cands.find((b) => {
+        this.grid[b.y][b.x] = 1;
+        if (reachesAll()) return true;
+        this.grid[b.y][b.x] = 0;
+        return false;
+      });
+      this.grid[c.y][c.x] = 1;
+      if (!b) return undo();
+      walls.push(b.y * w + b.x);
+    }
+    this.grid[c.y][c.x] = 0;
+    if (!isChokepoint(this.grid, c)) return undo();
+    return walls;
+  }
+
+  // walked into a locked door: open it with the matching key (used up), or say which one it needs
+  tryDoors() {
+    const p = this.player;
+    for (const door of this.doors) {
+      if (door.open || Math.hypot(door.x + 0.5 - p.x, door.y + 0.5 - p.y) > DOOR_REACH) continue;
+      const k = this.inventory.indexOf(door.color);
+      if (k < 0) {
+        this.lockedColor = door.color;
+        if (this.status !== 'run') this.setStatus('locked');
+        continue;
+      }
+      this.inventory.splice(k, 1);
+      door.open = true;
+      this.grid[door.y][door.x] = 0;
+      this.emit('inventory', [...this.inventory]);
+      this.emit('door', { x: door.x, y: door.y, color: door.color });
+      if (this.status !== 'run') this.setStatus(this.keys >= this.keysNeeded ? 'goExit' : 'findKeys');
+    }
+  }
+
+  // climb into the spot you're standing on, or back out
+  toggleHide() {
+    const p = this.player;
+    if (p.hidden) {
+      p.hidden = null;
+      for (const e of this.enemies) e.sawHide = false;
+      this.emit('hide', false);
+      if (this.status !== 'run') this.setStatus(this.keys >= this.keysNeeded ? 'goExit' : 'findKeys');
+      return;
+    }
+    const spot = this.hideSpots.find(s => Math.hypot(s.x + 0.5 - p.x, s.y + 0.5 - p.y) < HIDE.reach);
+    if (!spot) return;
+    // anyone watching right now knows where you went
+    for (const e of this.enemies) e.sawHide = this.canSeePlayer(e, this.sightRange);
+    p.hidden = spot;
+    p.x = spot.x + 0.5;
+    p.y = spot.y + 0.5;
+    this.emit('hide', true);
+    this.setStatus('hidden');
+  }
+
+  hideSpotAt(x, y) {
+    return this.hideSpots.find(s => s.x === x && s.y === y) || null;
+  }
+
+  doorAt(x, y) {
+    return this.doors.find(d => d.x === x && d.y === y) || null;
+  }
+
+  // through the exit: time, battery and stamina carry over into the next level
+  nextLevel() {
+    this.keysTotal += this.keys;
+    this.enterLevel(this.level + 1);
+  }
+
+  enterLevel(n) {
+    this.setLevel(n);
+    this.player.hidden = null;
+    // a run-wide layout replaces the level's generator (and its tuning, which is generator-specific)
+    const info = this.levelInfo;
+    const { grid } = this.layout
+      ? generate(this.layout, this.mapW, this.mapH, this.levelSeed)
+      : generate(info.generator, this.mapW, this.mapH, this.levelSeed, info.gen);
+    this.grid = grid;
+    this.R = rng(this.levelSeed);
+
+    // place player
+    const p = findRandomFloor(this.grid, this.R);
+    this.player.x = p.x + 0.5;
+    this.player.y = p.y + 0.5;
+    this.player.a = this.R() * Math.PI * 2;
+
+    this.placeItems(p);
+
+    this.status = null;
+    this.emit('level', n);
+    this.emit('keys', this.keys);
+    this.emit('inventory', []);
+    this.setStatus('findKeys');
+  }
+
+  // the whole run as plain JSON (grid rows as '0'/'1' strings, the hiding spot as an index)
+  snapshot() {
+    const p = this.player;
+    return {
+      v: SAVE_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      layout: this.layout,
+      level: this.level,
+      keysTotal: this.keysTotal,
+      rng: this.R.state(),
+      tick: this.tick,
+      status: this.status,
+      grid: this.grid.map(row => row.join('')),
+      stats: this.stats,
+      player: { ...p, hidden: p.hidden ? this.hideSpots.indexOf(p.hidden) : -1 },
+      keys: this.keys,
+      keyPos: this.keyPos,
+      keysTaken: this.keysTaken,
+      exitPos: this.exitPos,
+      batteryPos: this.batteryPos,
+      hideSpots: this.hideSpots,
+      doors: this.doors,
+      doorKeys: this.doorKeys,
+      inventory: this.inventory,
+      lockedColor: this.lockedColor,
+      enemies: this.enemies,
+    };
+  }
+
+  // picks a snapshot() back up mid-level; emits the same events as entering a level
+  // so listeners rebuild their view, then the saved status
+  restore(s) {
+    this.setDifficulty(s.difficulty);
+    this.setLayout(s.layout);
+    this.setLevel(s.level);
+    const c = structuredClone(s);
+    this.seed = c.seed >>> 0;
+    this.state = 'playing';
+    this.keysTotal = c.keysTotal;
+    this.R = rng(c.rng);
+    this.tick = c.tick;
+    this.time = c.tick * STEP;
+    this.grid = c.grid.map(row => Array.from(row, Number));
+    // (JSON turns an untouched closest = Infinity into null)
+    this.stats = c.stats ? { ...c.stats, closest: c.stats.closest ?? Infinity } : newStats();
+    this.keys = c.keys;
+    this.keyPos = c.keyPos;
+    this.keysTaken = c.keysTaken;
+    this.exitPos = c.exitPos;
+    this.batteryPos = c.batteryPos;
+    this.hideSpots = c.hideSpots;
+    this.doors = c.doors;
+    this.doorKeys = c.doorKeys;
+    this.inventory = c.inventory;
+    this.lockedColor = c.lockedColor;
+    this.enemies = c.enemies;
+    Object.assign(this.player, c.player, { hidden: this.hideSpots[c.player.hidden] ?? null });
+
+    this.status = null;
+    this.emit('level', this.level);
+    this.emit('keys', this.keys);
+    this.emit('inventory', [...this.inventory]);
+    this.setStatus(c.status);
+  }
+
+  // one fixed-rate tick; input = { mx, my, look, sneak, sprint, light, hide } (stick space, look in radians)
+  advance(input) {
+    if (this.state !== 'playing') return;
+    this.player.a += input.look;
+    this.step(STEP, this.time, input);
+    this.tick += 1;
+    this.time = this.tick * STEP;
+  }
+
+  isWall(x, y) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    if (yi < 0 || yi >= this.grid.length) return true;
+    if (xi < 0 || xi >= this.grid[0].length) return true;
+    return this.grid[yi][xi] === 1;
+  }
+
+  canStand(nx, ny) {
+    // slightly smaller collision radius to reduce snagging on corners
+    const r = 0.11;
+    return (!this.isWall(nx + r, ny) && !this.isWall(nx - r, ny) && !this.isWall(nx, ny + r) && !this.isWall(nx, ny - r));
+  }
+
+  cornerNudge(actor, dx, dy) {
+    // If we're moving diagonally into a corner, gently "nudge" along the open axis.
+    // This reduces corner-sticking in 1-tile corridors.
+    const wantX = actor.x + dx;
+    const wantY = actor.y + dy;
+    if (this.canStand(wantX, wantY)) return { dx, dy };
+
+    // try slide X only
+    if (this.canStand(wantX, actor.y)) return { dx, dy: 0 };
+    // try slide Y only
+    if (this.canStand(actor.x, wantY)) return { dx: 0, dy };
+
+    // try small nudges
+    const n = 0.06;
+    if (Math.abs(dx) > 1e-6 && this.canStand(actor.x, actor.y + Math.sign(dy) * n)) return { dx, dy: Math.sign(dy) * n };
+    if (Math.abs(dy) > 1e-6 && this.canStand(actor.x + Math.sign(dx) * n, actor.y)) return { dx: Math.sign(dx) * n, dy };
+
+    return { dx: 0, dy: 0 };
+  }
+
+  tryMove(actor, nx, ny) {
+    // axis-separated move so you slide along walls instead of getting stuck.
+    // also sub-step large moves to avoid tunneling into corners.
+    let dx = nx - actor.x;
+    let dy = ny - actor.y;
+
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / 0.08));
+    for (let i = 0; i < steps; i++) {
+      const stepDx = dx / steps;
+      const stepDy = dy / steps;
+
+      const nudged = this.cornerNudge(actor, stepDx, stepDy);
+      const tx = actor.x + nudged.dx;
+      const ty = actor.y + nudged.dy;
+
+      if (this.canStand(tx, actor.y)) actor.x = tx;
+      if (this.canStand(actor.x, ty)) actor.y = ty;
+    }
+  }
+
+  pickup() {
+    const px = Math.floor(this.player.x);
+    const py = Math.floor(this.player.y);
+
+    // keys
+    for (let i = 0; i < this.keyPos.length; i++) {
+      const k = this.keyPos[i];
+      if (k.x === px && k.y === py) {
+        this.keyPos.splice(i, 1);
+        this.keysTaken.push(k);
+        this.keys += 1;
+        this.stats.keyTimes.push({ level: this.level, time: this.time });
+        this.emit('keys', this.keys);
+        this.setStatus(this.keys >= this.keysNeeded ? 'goExit' : 'findKeys');
+        break;
+      }
+    }
+
+    // door keys
+    for (let i = 0; i < this.doorKeys.length; i++) {
+      const k = this.doorKeys[i];
+      if (k.x === px && k.y === py) {
+        this.doorKeys.splice(i, 1);
+        this.inventory.push(k.color);
+        this.emit('inventory', [...this.inventory]);
+        break;
+      }
+    }
+
+    // batteries
+    for (let i = 0; i < this.batteryPos.length; i++) {
+      const b = this.batteryPos[i];
+      if (b.x === px && b.y === py) {
+        this.batteryPos.splice(i, 1);
+        this.player.battery = Math.min(1, this.player.battery + FLASHLIGHT.pickup);
+        break;
+      }
+    }
+
+    // exit
+    if (this.exitPos && this.exitPos.x === px && this.exitPos.y === py) {
+      if (this.keys < this.keysNeeded) this.setStatus('needKeys');
+      else if (this.level + 1 < LEVELS.length) this.nextLevel();
+      else this.end('win');
+    }
+  }
+
+  // enemy sight range right now (a lit flashlight carries further)
+  get sightRange() {
+    return this.player.light ? this.cfg.sight * FLASHLIGHT.spotted : this.cfg.sight;
+  }
+
+  canSeePlayer(enemy, maxDist = 12.0) {
+    if (this.player.hidden) return false;
+    if (dist(enemy, this.player) > maxDist) return false;
+    return this.lineOfSight(enemy, this.player);
+  }
+
+  lineOfSight(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const steps = Math.ceil(Math.hypot(dx, dy) / 0.15);
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      if (this.isWall(a.x + dx * t, a.y + dy * t)) return false;
+    }
+    return true;
+  }
+
+  // enemies in earshot (not already chasing) go and check the spot out
+  makeNoise(x, y, radius, gait) {
+    const src = { x, y };
+    this.emit('noise', { x, y, radius, gait });
+    for (const e of this.enemies) {
+      if (e.state === 'chase') continue;
+      const r = this.lineOfSight(e, src) ? radius : radius * MUFFLED;
+      if (dist(e, src) > r) continue;
+      e.state = 'investigate';
+      e.lastKnown = { x: Math.floor(x), y: Math.floor(y) };
+      this.setEnemyGoal(e, e.lastKnown);
+      if (this.status !== 'run') this.setStatus('heard');
+    }
+  }
+
+  // distance to the closest enemy (danger overlay, audio)
+  nearestEnemyDist() {
+    let best = Infinity;
+    for (const e of this.enemies) best = Math.min(best, dist(e, this.player));
+    return best;
+  }
+
+  stepEnemy(e, dt, now) {
+    const p = this.player;
+
+    // state machine
+    const sees = this.canSeePlayer(e, this.sightRange);
+    if (sees && e.state !== 'chase') this.stats.spotted += 1;
+    // saw you climb into a hiding spot: keeps coming for it
+    if (sees || (e.sawHide && p.hidden)) {
+      e.state = 'chase';
+      e.lastSeen = now;
+      e.path = [];
+      this.setStatus('run');
+    }
+    if (e.state === 'chase') {
+      if (now - e.lastSeen <= CHASE_MEMORY) {
+        e.lastKnown = { x: Math.floor(p.x), y: Math.floor(p.y) };
+      } else {
+        // lost you: walk to where you were last seen
+        e.state = 'investigate';
+        this.setEnemyGoal(e, e.lastKnown);
+      }
+    }
+
+    let moving;
+    if (e.state === 'chase') {
+      if (sees && dist(e, p) < 1.2) {
+        // final lunge
+        this.steerEnemy(e, p.x, p.y, dt, e.chaseSpeed);
+        moving = true;
+      } else {
+        // follow the path to your cell; a straight line would snag on corners
+        const last = e.path[e.path.length - 1];
+        if (!last || last.x !== e.lastKnown.x || last.y !== e.lastKnown.y) this.setEnemyGoal(e, e.lastKnown);
+        moving = this.followPath(e, dt, e.chaseSpeed);
+      }
+    } else {
+      const hunt = HUNT_SPEED[e.state];
+      moving = this.followPath(e, dt, hunt ? e.chaseSpeed * hunt : e.speed);
+    }
+
+    if (!moving) this.enemyArrived(e, now);
+
+    // collision with player (a bit larger hitbox to feel stronger)
+    // (a hidden player only when this one saw you hide: it pulls you out)
+    const d = Math.hypot(p.x - e.x, p.y - e.y);
+    if (d < 0.52 && (!p.hidden || e.sawHide)) this.end('caught');
+  }
+
+  // reached the end of the current path (or had none): pick what to do next
+  enemyArrived(e, now) {
+    if (e.state === 'investigate') {
+      e.state = 'search';
+      e.searchLeft = SEARCH_SPOTS;
+      e.searchUntil = now + SEARCH_TIME;
+    } else if (e.state === 'search') {
+      e.searchLeft -= 1;
+    }
+
+    if (e.state === 'search' && (e.searchLeft <= 0 || now > e.searchUntil)) {
+      e.state = 'patrol';
+      // calm down only once nobody is hunting any more
+      if (this.enemies.every(o => o.state === 'patrol')) this.setStatus(this.keys >= this.keysNeeded ? 'goExit' : 'findKeys');
+    }
+
+    if (e.state === 'search') this.setEnemyGoal(e, this.pickSearchSpot(e.lastKnown));
+    else if (e.state === 'patrol') this.setEnemyGoal(e, findRandomFloor(this.grid, this.R));
+  }
+
+  // random floor cell a few steps from `center` (search pattern)
+  pickSearchSpot(center) {
+    const w = this.grid[0].length;
+    const d = floodDistances(this.grid, center);
+    const spots = [];
+    for (let i = 0; i < d.length; i++) {
+      if (d[i] >= 2 && d[i] <= SEARCH_RADIUS) spots.push({ x: i % w, y: Math.floor(i / w) });
+    }
+    if (!spots.length) return center;
+    return spots[Math.floor(this.R() * spots.length)];
+  }
+
+  setEnemyGoal(e, cell) {
+    const from = { x: Math.floor(e.x), y: Math.floor(e.y) };
+    e.path = (cell && findPath(this.grid, from, cell)) || [];
+  }
+
+  followPath(e, dt, speed) {
+    // drop waypoints we're already standing on
+    while (e.path.length) {
+      const c = e.path[0];
+      if (Math.hypot(c.x + 0.5 - e.x, c.y + 0.5 - e.y) > 0.15) break;
+      e.path.shift();
+    }
+    if (!e.path.length) return false;
+    const c = e.path[0];
+    this.steerEnemy(e, c.x + 0.5, c.y + 0.5, dt, speed);
+    return true;
+  }
+
+  steerEnemy(e, tx, ty, dt, speed) {
+    // move straight at the target (waypoints are cell centres, so no corner snags);
+    // the facing just turns smoothly after it
+    const dx = tx - e.x;
+    const dy = ty - e.y;
+    const d = Math.hypot(dx, dy);
+    if (d < 1e-6) return;
+    const stepLen = Math.min(d, speed * dt);
+    this.tryMove(e, e.x + (dx / d) * stepLen, e.y + (dy / d) * stepLen);
+
+    const da = wrapAngle(Math.atan2(dy, dx) - e.a);
+    e.a += da * clamp(dt * 6.0, 0, 1);
+  }
+
+  // hide is a one-tick press (toggle), the rest are held states
+  step(dt, now, { mx: ax, my: ay, sneak = false, sprint = false, light = false, hide = false }) {
+    if (hide) this.toggleHide();
+    const hidden = !!this.player.hidden;
+
+    // movement vector in camera space (none while hiding: you can only look around);
+    // the stick deadzone is a player setting, so it's applied before the input is recorded
+    const mx = hidden ? 0 : ax;
+    const my = hidden ? 0 : ay;
+
+    const ca = Math.cos(this.player.a);
+    const sa = Math.sin(this.player.a);
+
+    // joystick y is down; forward is -my
+    const forward = -my;
+    const strafe = mx;
+
+    // stickの効きを少し強める（小さい入力でも進む）
+    const boost = (v) => Math.sign(v) * Math.min(1, Math.abs(v) ** 0.75);
+    const moving = Math.hypot(mx, my) > 0;
+    const sprinting = this.stepStamina(dt, sprint && !sneak && moving);
+    let mul = 1;
+    if (sneak) mul = SNEAK_SPEED;
+    else if (sprinting) mul = SPRINT.speed;
+    else if (this.player.winded) mul = SPRINT.windedSpeed;
+    const speed = this.player.speed * mul;
+    const vx = (ca * boost(forward) - sa * boost(strafe)) * speed;
+    const vy = (sa * boost(forward) + ca * boost(strafe)) * speed;
+
+    const { x: ox, y: oy } = this.player;
+    const nx = this.player.x + vx * dt;
+    const ny = this.player.y + vy * dt;
+    this.tryMove(this.player, nx, ny);
+    const moved = Math.hypot(this.player.x - ox, this.player.y - oy);
+    this.stats.distance += moved;
+    this.tryDoors();
+
+    // gait from how far you actually got: pushing into a wall or a closed door makes no footsteps
+    this.stepFootsteps(dt, moved / dt / this.player.speed, sneak);
+    this.stepFlashlight(dt, light && !hidden);
+
+    this.pickup();
+    if (this.state !== 'playing') return;
+
+    for (const e of this.enemies) {
+      this.stepEnemy(e, dt, now);
+      if (this.state !== 'playing') return;
+    }
+    this.stats.closest = Math.min(this.stats.closest, this.nearestEnemyDist());
+  }
+
+  // returns whether the player actually sprints this tick
+  stepStamina(dt, wantSprint) {
+    const p = this.player;
+    const sprinting = wantSprint && !p.winded && p.stamina > 0;
+    if (sprinting) {
+      p.stamina = Math.max(0, p.stamina - SPRINT.drain * dt);
+      p.restT = 0;
+      if (p.stamina === 0) p.winded = true;
+    } else {
+      p.restT += dt;
+      if (p.restT >= SPRINT.regenDelay) p.stamina = Math.min(1, p.stamina + SPRINT.regen * dt);
+      if (p.winded && p.stamina >= SPRINT.recover) p.winded = false;
+    }
+    return sprinting;
+  }
+
+  // the light stays on while wanted and the battery lasts
+  stepFlashlight(dt, wantLight) {
+    const p = this.player;
+    p.light = wantLight && p.battery > 0;
+    if (p.light) p.battery = Math.max(0, p.battery - FLASHLIGHT.drain * dt);
+  }
+
+  // gait follows speed (a half-pushed stick sneaks too); each step is a noise event
+  stepFootsteps(dt, frac, sneak) {
+    const p = this.player;
+    if (frac < 0.05) p.gait = 'still';
+    else if (sneak || frac < 0.55) p.gait = 'sneak';
+    else if (frac <= 1.15) p.gait = 'walk';
+    else p.gait = 'sprint';
+
+    if (p.gait === 'still') {
+      p.stepT = 0;
+      return;
+    }
+    const g = GAITS[p.gait];
+    p.stepT += dt;
+    if (p.stepT < g.cadence) return;
+    p.stepT = 0;
+    this.makeNoise(p.x, p.y, g.radius, p.gait);
+  }
+}
+
+function newStats() {
+  return { distance: 0, spotted: 0, keyTimes: [], closest: Infinity };
+}
+
+function pick(R, list) {
+  return list[Math.floor(R() * list.length)];
+}
+
+// cell index in `list` with the largest distance (fallback when nothing fits the rules)
+function farthest(list, d) {
+  let best = list[0];
+  for (const i of list) if (d[i] > d[best]) best = i;
+  return best;
+}
+
+// a one-wide corridor cell: walls on two opposite sides, open on the other two
+function isChokepoint(grid, { x, y }) {
+  const wall = (dx, dy) => grid[y + dy][x + dx] === 1;
+  return (wall(-1, 0) && wall(1, 0) && !wall(0, -1) && !wall(0, 1)) ||
+    (wall(0, -1) && wall(0, 1) && !wall(-1, 0) && !wall(1, 0));
+}
+
+// floor cell with a single open neighbour
+function isDeadEnd(grid, { x, y }) {
+  return (grid[y - 1][x] === 0) + (grid[y + 1][x] === 0) + (grid[y][x - 1] === 0) + (grid[y][x + 1] === 0) === 1;
+}
@@ -0,0 +1,133 @@
+// Procedural Backrooms textures (no external assets).
+// Each texture is SIZE x SIZE with
+// - pixels: Uint32Array in ImageData byte order (for floor / ceiling casting)
+// - canvas: the same pixels, for drawImage on wall columns
+
+import { rng } from './maze.js';
+
+export const TEX_SIZE = 64;
+
+// lock colours (sim.js DOOR_COLORS) for door textures, key sprites and the inventory HUD
+export const LOCK_RGB = {
+  red: [214, 64, 80],
+  blue: [70, 130, 235],
+  orange: [235, 150, 50],
+};
+
+// per-level colour grading: RGB multipliers over the Level 0 colours
+export const PALETTES = {
+  yellow: { wall: [1, 1, 1], floor: [1, 1, 1], ceiling: [1, 1, 1] },
+  concrete: { wall: [0.78, 0.84, 1.3], floor: [0.72, 0.8, 1.25], ceiling: [0.92, 0.95, 1.04] },
+  rust: { wall: [0.92, 0.58, 0.5], floor: [0.7, 0.52, 0.48], ceiling: [0.78, 0.66, 0.62] },
+};
+
+export function makeTextures(palette = 'yellow') {
+  const pal = PALETTES[palette] || PALETTES.yellow;
+  return {
+    wall: makeTexture(wallpaper, pal.wall),
+    floor: makeTexture(carpet, pal.floor),
+    ceiling: makeTexture((x, y, R) => ceilingTile(x, y, R, false), pal.ceiling),
+    ceilingLight: makeTexture((x, y, R) => ceilingTile(x, y, R, true), pal.ceiling),
+    doors: Object.fromEntries(Object.entries(LOCK_RGB).map(([name, rgb]) => [name, makeTexture((x, y, R) => door(x, y, R, rgb))])),
+  };
+}
+
+function makeTexture(shader, [kr, kg, kb] = [1, 1, 1]) {
+  const R = rng(0x5eed);
+  const pixels = new Uint32Array(TEX_SIZE * TEX_SIZE);
+  for (let y = 0; y < TEX_SIZE; y++) {
+    for (let x = 0; x < TEX_SIZE; x++) {
+      const [r, g, b] = shader(x, y, R);
+      pixels[y * TEX_SIZE + x] = pack(r * kr, g * kg, b * kb);
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = TEX_SIZE;
+  canvas.height = TEX_SIZE;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(TEX_SIZE, TEX_SIZE);
+  new Uint32Array(img.data.buffer).set(pixels);
+  ctx.putImageData(img, 0, 0);
+
+  return { size: TEX_SIZE, pixels, canvas };
+}
+
+// ImageData is RGBA bytes; read as little-endian uint32 that's 0xAABBGGRR
+export function pack(r, g, b) {
+  return (0xff << 24 | clampByte(b) << 16 | clampByte(g) << 8 | clampByte(r)) >>> 0;
+}
+
+function clampByte(v) {
+  return Math.max(0, Math.min(255, Math.round(v)));
+}
+
+// mono-yellow wallpaper: faint double stripes, a chevron print, grime and a baseboard
+function wallpaper(x, y, R) {
+  const n = (R() - 0.5) * 14;
+  let r = 200 + n;
+  let g = 180 + n;
+  let b = 98 + n * 0.6;
+
+  const sx = x % 16;
+  if (sx === 0 || sx === 3) { r -= 22; g -= 22; b -= 14; }
+
+  // small chevrons between the stripes
+  const cx = (x % 16) - 9;
+  const cy = (y + Math.abs(cx)) % 12;
+  if (Math.abs(cx) <= 3 && cy === 0) { r -= 14; g -= 16; b -= 10; }
+
+  // water stain near the top, darker baseboard at the bottom
+  if (y < 10) { const k = (10 - y) * 2.2; r -= k; g -= k * 1.1; b -= k * 1.3; }
+  if (y >= TEX_SIZE - 6) { r = 120 + n; g = 100 + n; b = 60 + n; }
+  if (y === TEX_SIZE - 7) { r -= 40; g -= 40; b -= 30; }
+
+  return [r, g, b];
+}
+
+// damp mustard carpet: speckle + a loose weave
+function carpet(x, y, R) {
+  const n = (R() - 0.5) * 34;
+  const weave = ((x + y) % 4 === 0 ? -8 : 0) + ((x - y + 64) % 6 === 0 ? 6 : 0);
+  return [138 + n + weave, 118 + n + weave, 62 + n * 0.6];
+}
+
+// painted door: dark frame, two recessed panels, a brass handle and a lock plate
+function door(x, y, R, [br, bg, bb]) {
+  const n = (R() - 0.5) * 10;
+  if (x >= 47 && x < 53 && y >= 30 && y < 34) return [236, 214, 140];
+  if (x >= 48 && x < 52 && y >= 36 && y < 40) return [60, 50, 40];
+
+  let k = 1;
+  if (x < 4 || x >= TEX_SIZE - 4 || y < 4) k = 0.45;
+  else {
+    const inPanel = x >= 12 && x < 52 && ((y >= 10 && y < 28) || (y >= 36 && y < 58));
+    const rim = inPanel && (x === 12 || x === 51 || y === 10 || y === 27 || y === 36 || y === 57);
+    if (rim) k = 0.68;
+    else if (inPanel) k = 0.9;
+  }
+  return [br * k + n, bg * k + n, bb * k + n];
+}
+
+// 2x2 drop-ceiling tiles with a grid and perforations; lit variant has a fluorescent panel
+function ceilingTile(x, y, R, lit) {
+  const n = (R() - 0.5) * 10;
+  let r = 196 + n;
+  let g = 190 + n;
+  let b = 160 + n;
+
+  const half = TEX_SIZE / 2;
+  if (x % half === 0 || y % half === 0) { r -= 60; g -= 60; b -= 55; }
+  else if (x % 4 === 2 && y % 4 === 2) { r -= 26; g -= 26; b -= 22; }
+
+  if (lit) {
+    const inPanel = x >= 10 && x < TEX_SIZE - 10 && y >= 20 && y < TEX_SIZE - 20;
+    if (inPanel) {
+      const rib = (x - 10) % 9 === 0 ? -18 : 0;
+      r = 250 + rib; g = 252 + rib; b = 236 + rib;
+    } else if (x >= 8 && x < TEX_SIZE - 8 && y >= 18 && y < TEX_SIZE - 18) {
+      r = 150; g = 148; b = 130; // frame
+    }
+  }
+  return [r, g, b];
+}
@@ -0,0 +1,64 @@
+// Offline support: precache the whole game (it has no other assets) and serve
+// it cache-first. Bump VERSION when shipping; the page sees the new worker
+// waiting and offers a reload (see bindUpdates in src/main.js).
+
+const VERSION = 'v2';
+const CACHE = `backrooms-kids-${VERSION}`;
+
+const PRECACHE = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './assets/icon-192.png',
+  './assets/icon-512.png',
+  './src/audio.js',
+  './src/daily.js',
+  './src/i18n.js',
+  './src/input.js',
+  './src/lights.js',
+  './src/main.js',
+  './src/maze.js',
+  './src/png.js',
+  './src/replay.js',
+  './src/runtime.js',
+  './src/scores.js',
+  './src/settings.js',
+  './src/sim.js',
+  './src/textures.js',
+];
+
+self.addEventListener('install', (e) => {
+  // no skipWaiting here: the page decides when to switch (mid-run reloads lose the run);
+  // cache: 'reload' skips the HTTP cache, so a new worker never stores a stale mix of modules
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(PRECACHE.map(u => new Request(u, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('backrooms-kids-') && key !== CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== location.origin) return;
+  e.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    // ?seed=… links are still the same page
+    const hit = await cache.match(req, { ignoreSearch: req.mode === 'navigate' });
+    if (hit) return hit;
+    try {
+      return await fetch(req);
+    } catch (err) {
+      if (req.mode === 'navigate') return cache.match('./index.html');
+      throw err;
+    }
+  })());
+});
@@ -0,0 +1,175 @@
+// Headless Sim checks: node --test test/
+// Most cases run on a small hand-built room instead of a generated maze, so positions are exact.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Sim, STEP, DIFFICULTY, DOOR_COLORS } from '../src/sim.js';
+import { GENERATORS, floodDistances } from '../src/maze.js';
+
+// two corridors (rows 1 and 3) joined at both ends around a wall block,
+// and a sealed pocket below (out of sight and out of reach)
+const ROOM = [
+  '#########',
+  '#.......#',
+  '#.#####.#',
+  '#.......#',
+  '#########',
+  '#...#####',
+  '#########',
+];
+
+function room() {
+  const sim = new Sim();
+  sim.grid = ROOM.map(row => [...row].map(c => (c === '#' ? 1 : 0)));
+  sim.state = 'playing';
+  sim.status = 'findKeys';
+  sim.player.x = 1.5;
+  sim.player.y = 1.5;
+  return sim;
+}
+
+function enemy(x, y, state = 'patrol') {
+  return {
+    x, y, state, a: 0, speed: 1.5, chaseSpeed: 2.5,
+    lastSeen: 0, lastKnown: null, path: [], searchLeft: 0, searchUntil: 0, sawHide: false,
+  };
+}
+
+test('tryMove stops at a wall', () => {
+  const sim = room();
+  const a = { x: 1.5, y: 1.5 };
+  sim.tryMove(a, 1.5, 0.5);
+  assert.equal(a.x, 1.5);
+  assert.ok(a.y >= 1.11 && a.y < 1.5, `y = ${a.y}`);
+});
+
+test('tryMove slides along a wall', () => {
+  const sim = room();
+  const a = { x: 2.5, y: 1.5 };
+  sim.tryMove(a, 3.5, 0.5);
+  assert.ok(Math.abs(a.x - 3.5) < 1e-9, `x = ${a.x}`);
+  assert.ok(a.y >= 1.11 && a.y < 1.5, `y = ${a.y}`);
+});
+
+test('tryMove does not tunnel through a wall on a long move', () => {
+  const sim = room();
+  const a = { x: 3.5, y: 1.5 };
+  sim.tryMove(a, 3.5, 3.5);
+  assert.ok(a.y < 2, `y = ${a.y}`);
+});
+
+test('cornerNudge keeps a free move and drops the blocked axis', () => {
+  const sim = room();
+  assert.deepEqual(sim.cornerNudge({ x: 4.5, y: 1.5 }, 0.05, 0.05), { dx: 0.05, dy: 0.05 });
+  assert.deepEqual(sim.cornerNudge({ x: 3.5, y: 1.85 }, 0.05, 0.1), { dx: 0.05, dy: 0 });
+  assert.deepEqual(sim.cornerNudge({ x: 1.15, y: 1.15 }, -0.1, -0.1), { dx: 0, dy: 0 });
+});
+
+test('canSeePlayer needs range, a clear line and the player out of hiding', () => {
+  const sim = room();
+  assert.equal(sim.canSeePlayer(enemy(6.5, 1.5)), true);
+  assert.equal(sim.canSeePlayer(enemy(6.5, 1.5), 4), false);
+  assert.equal(sim.canSeePlayer(enemy(1.5, 3.5)), true); // down the open left column
+  assert.equal(sim.canSeePlayer(enemy(4.5, 3.5)), false); // wall block in between
+  sim.player.hidden = { x: 1, y: 1, kind: 'locker' };
+  assert.equal(sim.canSeePlayer(enemy(6.5, 1.5)), false);
+});
+
+test('enemy goes chase -> investigate -> search -> patrol', () => {
+  const sim = room();
+  const e = enemy(6.5, 1.5);
+  sim.enemies = [e];
+
+  sim.stepEnemy(e, STEP, 0);
+  assert.equal(e.state, 'chase');
+  assert.equal(sim.stats.spotted, 1);
+  assert.equal(sim.status, 'run');
+  assert.deepEqual(e.lastKnown, { x: 1, y: 1 });
+
+  // behind the wall block: tracked for a moment, then it goes to check the spot
+  sim.player.x = 4.5;
+  sim.player.y = 3.5;
+  let tick = 1;
+  for (; tick < 60 && e.state === 'chase'; tick++) sim.stepEnemy(e, STEP, tick * STEP);
+  assert.equal(e.state, 'investigate');
+  assert.deepEqual(e.lastKnown, { x: 4, y: 3 });
+
+  // meanwhile you slipped into the pocket: it searches around there, then roams
+  sim.player.x = 2.5;
+  sim.player.y = 5.5;
+  const seen = [e.state];
+  for (; tick < 60 * 60 && e.state !== 'patrol'; tick++) {
+    sim.stepEnemy(e, STEP, tick * STEP);
+    if (e.state !== seen[seen.length - 1]) seen.push(e.state);
+  }
+  assert.deepEqual(seen, ['investigate', 'search', 'patrol']);
+  assert.equal(sim.status, 'findKeys');
+  assert.equal(sim.state, 'playing');
+});
+
+test('noise sends a patrolling enemy to investigate, not a chasing one', () => {
+  const sim = room();
+  const near = enemy(3.5, 1.5);
+  const far = enemy(7.5, 3.5);
+  const chasing = enemy(5.5, 1.5, 'chase');
+  sim.enemies = [near, far, chasing];
+  sim.makeNoise(2.5, 1.5, 2, 'walk');
+  assert.equal(near.state, 'investigate');
+  assert.deepEqual(near.lastKnown, { x: 2, y: 1 });
+  assert.ok(near.path.length > 0);
+  assert.equal(far.state, 'patrol');
+  assert.equal(chasing.state, 'chase');
+  assert.equal(sim.status, 'heard');
+});
+
+test('an enemy touching the player ends the run', () => {
+  const sim = room();
+  const e = enemy(1.9, 1.5);
+  sim.enemies = [e];
+  let result = null;
+  sim.on('end', (r) => { result = r; });
+  sim.stepEnemy(e, STEP, 0);
+  assert.equal(sim.state, 'caught');
+  assert.equal(result, 'caught');
+});
+
+test('same seed and inputs play out the same', () => {
+  const run = () => {
+    const sim = new Sim({ difficulty: 'hard' });
+    sim.start(123);
+    for (let i = 0; i < 600; i++) sim.advance({ mx: Math.sin(i / 40), my: -1, look: 0.01 });
+    return { tick: sim.tick, state: sim.state, player: [sim.player.x, sim.player.y], enemies: sim.enemies.map(e => [e.x, e.y, e.state]) };
+  };
+  const a = run();
+  assert.ok(a.tick > 0);
+  assert.deepEqual(run(), a);
+});
+
+test('every layout gets the preset\'s doors, each cutting the exit off by itself', () => {
+  for (const layout of Object.keys(GENERATORS)) {
+    for (const difficulty of Object.keys(DIFFICULTY)) {
+      for (let seed = 1; seed <= 4; seed++) {
+        const sim = new Sim({ difficulty });
+        sim.setLayout(layout);
+        sim.start(seed);
+        const where = `${layout} ${difficulty} seed ${seed}`;
+        const want = Math.min(sim.cfg.doors, DOOR_COLORS.length);
+        assert.equal(sim.doors.length, want, where);
+        assert.equal(sim.doorKeys.length, want, where);
+
+        const w = sim.grid[0].length;
+        const spawn = { x: Math.floor(sim.player.x), y: Math.floor(sim.player.y) };
+        const cell = ({ x, y }) => y * w + x;
+        for (const door of sim.doors) {
+          // only this one shut
+          for (const o of sim.doors) sim.grid[o.y][o.x] = o === door ? 1 : 0;
+          assert.equal(floodDistances(sim.grid, spawn)[cell(sim.exitPos)], -1, `${where} ${door.color}`);
+        }
+        // all open: everything placed can be reached
+        for (const o of sim.doors) sim.grid[o.y][o.x] = 0;
+        const d = floodDistances(sim.grid, spawn);
+        for (const item of [sim.exitPos, ...sim.keyPos, ...sim.doorKeys]) assert.ok(d[cell(item)] >= 0, where);
+      }
+    }
+  }
+});